@@ -0,0 +1,12 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// The SQLite file shared by the server and the migration CLI
+const dbPath = process.env.NODE_ENV === 'production'
+  ? '/tmp/database.db'
+  : './database.db';
+
+function openDatabase() {
+  return new sqlite3.Database(dbPath);
+}
+
+module.exports = { dbPath, openDatabase };
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing email. MAIL_DRIVER picks how mail is delivered:
+//   console - print to the server log (default in development)
+//   file    - write each email to MAIL_DIR as a .txt file
+//   smtp    - send through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (default in production)
+// Every driver exposes send({ to, subject, text }) returning a Promise.
+
+function createConsoleMailer() {
+  return {
+    send({ to, subject, text }) {
+      console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+      return Promise.resolve();
+    }
+  };
+}
+
+function createFileMailer(dir) {
+  return {
+    send({ to, subject, text }) {
+      const fileName = `${Date.now()}-${to.replace(/[^a-z0-9@.]/gi, '_')}.txt`;
+      const body = `To: ${to}\nSubject: ${subject}\nDate: ${new Date().toISOString()}\n\n${text}\n`;
+
+      return fs.promises.mkdir(dir, { recursive: true })
+        .then(() => fs.promises.writeFile(path.join(dir, fileName), body));
+    }
+  };
+}
+
+function createSmtpMailer(options) {
+  // Only needed when SMTP is actually used
+  const nodemailer = require('nodemailer');
+
+  const transport = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.port === 465,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    send({ to, subject, text }) {
+      return transport.sendMail({ from: options.from, to, subject, text });
+    }
+  };
+}
+
+function createMailer(env = process.env) {
+  const driver = env.MAIL_DRIVER || (env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  switch (driver) {
+    case 'console':
+      return createConsoleMailer();
+    case 'file':
+      return createFileMailer(env.MAIL_DIR || './mail');
+    case 'smtp':
+      return createSmtpMailer({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.MAIL_FROM || 'no-reply@website.local'
+      });
+    default:
+      throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = { createMailer };
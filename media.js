@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+
+// Upload checks and derived files. Every upload is identified by its first
+// bytes (never by the name or the browser's Content-Type), checked against
+// the allow-list of its form field, and then:
+//   images - resized into webp variants with EXIF and other metadata dropped
+//   videos - given a poster frame when ffmpeg is available (FFMPEG_PATH)
+//   others - renamed to the extension of the detected type
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/webm', 'application/ogg'];
+const AUDIO_TYPES = ['audio/mpeg', 'audio/wav', 'audio/mp4', 'audio/flac', 'application/ogg'];
+
+const FIELD_TYPES = {
+  image: IMAGE_TYPES,
+  profileImage: IMAGE_TYPES,
+  video: VIDEO_TYPES,
+  audio: AUDIO_TYPES,
+  media: [...IMAGE_TYPES, ...VIDEO_TYPES, ...AUDIO_TYPES],
+  file: [...IMAGE_TYPES, ...VIDEO_TYPES, ...AUDIO_TYPES, 'application/pdf']
+};
+
+// Widths in pixels; profile pictures are cropped square
+const IMAGE_SIZES = {
+  image: { large: 1600, medium: 800, thumb: 320 },
+  media: { large: 1600, medium: 800, thumb: 320 },
+  profileImage: { medium: 400, thumb: 96 },
+  file: { large: 1600, thumb: 320 }
+};
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'application/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/mp4': '.m4a',
+  'audio/flac': '.flac',
+  'application/pdf': '.pdf'
+};
+
+const MP4_BRANDS = ['isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', 'MSNV'];
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+
+function startsWith(buffer, text, offset = 0) {
+  return buffer.toString('latin1', offset, offset + text.length) === text;
+}
+
+// Detect the file type from its magic number; null if it is none we know
+function sniffMime(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+  if (startsWith(buffer, '\x89PNG\r\n\x1A\n')) return 'image/png';
+  if (startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a')) return 'image/gif';
+  if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WEBP', 8)) return 'image/webp';
+  if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WAVE', 8)) return 'audio/wav';
+  if (startsWith(buffer, '\x1A\x45\xDF\xA3')) return 'video/webm';
+  if (startsWith(buffer, 'OggS')) return 'application/ogg';
+  if (startsWith(buffer, 'fLaC')) return 'audio/flac';
+  if (startsWith(buffer, '%PDF-')) return 'application/pdf';
+  if (startsWith(buffer, 'ID3') || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'audio/mpeg';
+
+  // ISO media files (MP4, QuickTime, but also HEIC/AVIF images) share the
+  // ftyp box, so only the major brands we can play count
+  if (startsWith(buffer, 'ftyp', 4)) {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (MP4_BRANDS.includes(brand)) return 'video/mp4';
+  }
+
+  return null;
+}
+
+function readHeader(filePath) {
+  return fs.promises.open(filePath, 'r').then(async (handle) => {
+    try {
+      const buffer = Buffer.alloc(32);
+      await handle.read(buffer, 0, buffer.length, 0);
+      return buffer;
+    } finally {
+      await handle.close();
+    }
+  });
+}
+
+async function resizeImage(filePath, mime, sizes, square) {
+  const base = filePath.replace(/\.[^./]+$/, '');
+  const variants = {};
+
+  try {
+    for (const [name, width] of Object.entries(sizes)) {
+      const output = `${base}-${name}.webp`;
+      // rotate() applies the EXIF orientation; sharp writes no metadata by default
+      await sharp(filePath, { animated: mime === 'image/gif' })
+        .rotate()
+        .resize({
+          width,
+          height: square ? width : undefined,
+          fit: square ? 'cover' : 'inside',
+          withoutEnlargement: true
+        })
+        .webp({ quality: 82 })
+        .toFile(output);
+      variants[name] = output;
+    }
+  } catch (err) {
+    await Promise.all(Object.values(variants).map(output => fs.promises.unlink(output).catch(() => {})));
+    throw err;
+  }
+
+  // The original still carries its metadata, so it is not kept
+  await fs.promises.unlink(filePath);
+  return variants;
+}
+
+function extractPoster(filePath) {
+  const frame = filePath.replace(/\.[^./]+$/, '') + '-frame.jpg';
+
+  return new Promise((resolve) => {
+    execFile(
+      FFMPEG,
+      ['-v', 'error', '-i', filePath, '-vf', 'thumbnail', '-frames:v', '1', '-y', frame],
+      { timeout: 30000 },
+      (err) => {
+        if (err) {
+          console.log('No poster frame for', path.basename(filePath) + ':', err.code === 'ENOENT' ? 'ffmpeg not found' : err.message);
+          return resolve(null);
+        }
+        resolve(frame);
+      }
+    );
+  });
+}
+
+function unsupported(field, mime) {
+  const err = new Error(`Unsupported file type for ${field}: ${mime || 'unknown'}`);
+  err.code = 'UNSUPPORTED_MEDIA_TYPE';
+  err.field = field;
+  return err;
+}
+
+// Check and process one file saved by multer. Resolves with
+// { path, mime, variants } where path is the local file pages should show and
+// variants holds every derived file (large/medium/thumb/poster). The files
+// stay next to the upload until the caller hands them to storage.
+async function processMedia(field, file) {
+  const mime = sniffMime(await readHeader(file.path));
+  const allowed = FIELD_TYPES[field] || [];
+
+  if (!mime || !allowed.includes(mime)) throw unsupported(field, mime);
+
+  if (IMAGE_TYPES.includes(mime) && IMAGE_SIZES[field]) {
+    let variants;
+    try {
+      variants = await resizeImage(file.path, mime, IMAGE_SIZES[field], field === 'profileImage');
+    } catch (err) {
+      // Right magic number but not a picture sharp can decode
+      throw unsupported(field, mime);
+    }
+    return { path: variants.medium || variants.large, mime, variants };
+  }
+
+  const finalPath = file.path + EXTENSIONS[mime];
+  await fs.promises.rename(file.path, finalPath);
+  const media = { path: finalPath, mime, variants: {} };
+
+  if (VIDEO_TYPES.includes(mime)) {
+    const frame = await extractPoster(finalPath);
+    if (frame) {
+      media.variants.poster = (await resizeImage(frame, 'image/jpeg', { poster: 800 }, false)).poster;
+    }
+  }
+
+  return media;
+}
+
+// image, video or audio; Ogg could be either and plays in a <video> element
+function mediaKind(mime) {
+  if (IMAGE_TYPES.includes(mime)) return 'image';
+  if (AUDIO_TYPES.includes(mime) && mime !== 'application/ogg') return 'audio';
+  return 'video';
+}
+
+// Every file that belongs to a processed upload (path is one of the variants for images)
+function mediaFiles(media) {
+  return [...new Set([media.path, ...Object.values(media.variants)])];
+}
+
+module.exports = { processMedia, mediaFiles, mediaKind, sniffMime };
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema changes. Each file in migrations/ is named
+// <number>-<description>.js and exports async up(db) and down(db); db has
+// promise versions of run/get/all/exec. Applied versions are recorded in
+// schema_migrations, and every migration runs inside a transaction.
+//
+//   npm run migrate          apply everything pending
+//   npm run migrate:down     roll back the latest migration (--steps=N for more)
+//   npm run migrate:status   list migrations and whether they are applied
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function promisify(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    exec: (sql) => new Promise((resolve, reject) => {
+      db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    })
+  };
+}
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: file.replace(/^\d+-|\.js$/g, ''),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function appliedVersions(conn) {
+  await conn.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  const rows = await conn.all('SELECT version FROM schema_migrations');
+  return new Set(rows.map(row => row.version));
+}
+
+async function inTransaction(conn, work) {
+  await conn.exec('BEGIN');
+  try {
+    await work();
+    await conn.exec('COMMIT');
+  } catch (err) {
+    await conn.exec('ROLLBACK');
+    throw err;
+  }
+}
+
+// Apply all pending migrations in order; resolves with the ones applied
+async function migrate(db) {
+  const conn = promisify(db);
+  const applied = await appliedVersions(conn);
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await inTransaction(conn, async () => {
+      await migration.up(conn);
+      await conn.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+  }
+  return pending;
+}
+
+// Undo the latest `steps` applied migrations; resolves with the ones undone
+async function rollback(db, steps = 1) {
+  const conn = promisify(db);
+  const applied = await appliedVersions(conn);
+  const toUndo = loadMigrations()
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toUndo) {
+    await inTransaction(conn, async () => {
+      await migration.down(conn);
+      await conn.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+  }
+  return toUndo;
+}
+
+async function status(db) {
+  const conn = promisify(db);
+  await appliedVersions(conn);
+  const rows = await conn.all('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied_at: appliedAt.get(version) || null
+  }));
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+}
+
+if (require.main === module) {
+  const { dbPath, openDatabase } = require('./database');
+  const db = openDatabase();
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const stepsArg = args.find(arg => arg.startsWith('--steps='));
+  const steps = stepsArg ? Number(stepsArg.split('=')[1]) : 1;
+
+  const commands = {
+    up: () => migrate(db).then(done => {
+      done.forEach(migration => console.log(`Applied ${label(migration)}`));
+      console.log(done.length ? `${dbPath} is up to date` : `Nothing to migrate in ${dbPath}`);
+    }),
+    down: () => rollback(db, steps).then(done => {
+      done.forEach(migration => console.log(`Rolled back ${label(migration)}`));
+      if (!done.length) console.log('Nothing to roll back');
+    }),
+    status: () => status(db).then(list => {
+      list.forEach(migration => {
+        const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+        console.log(`${state.padEnd(27)}  ${label(migration)}`);
+      });
+    })
+  };
+
+  if (!commands[command] || !(steps > 0)) {
+    console.error('Usage: node migrate.js [up | down [--steps=N] | status]');
+    process.exit(1);
+  }
+
+  commands[command]()
+    .catch(err => {
+      console.error('Migration failed:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = { migrate, rollback, status };
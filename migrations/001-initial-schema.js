@@ -0,0 +1,323 @@
+// The schema as it stood before versioned migrations. Databases created
+// back then already have most of it, so tables are only created when
+// missing and columns that were added over time are filled in.
+
+const TABLES = {
+  users: `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE,
+    password TEXT,
+    name TEXT,
+    profile_image TEXT DEFAULT 'images/default-profile.png',
+    bio TEXT,
+    is_admin INTEGER DEFAULT 0,
+    is_blocked INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    email TEXT,
+    profile_thumb TEXT
+  )`,
+
+  // image holds the feed-sized version of the first image; see post_media
+  posts: `CREATE TABLE IF NOT EXISTS posts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    content TEXT,
+    image TEXT,
+    video TEXT,
+    audio TEXT,
+    privacy TEXT DEFAULT 'public',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    edited_at DATETIME,
+    image_large TEXT,
+    image_thumb TEXT,
+    video_poster TEXT,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  )`,
+
+  // Post attachments in display order. The image/video/audio columns on
+  // posts keep the first attachment of each kind for older clients.
+  post_media: `CREATE TABLE IF NOT EXISTS post_media (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    post_id INTEGER,
+    position INTEGER,
+    media_type TEXT,
+    url TEXT,
+    large_url TEXT,
+    thumb_url TEXT,
+    poster_url TEXT,
+    caption TEXT,
+    alt_text TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(post_id) REFERENCES posts(id)
+  )`,
+
+  comments: `CREATE TABLE IF NOT EXISTS comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    post_id INTEGER,
+    user_id INTEGER,
+    content TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    edited_at DATETIME,
+    parent_id INTEGER REFERENCES comments(id),
+    FOREIGN KEY(post_id) REFERENCES posts(id),
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  )`,
+
+  // A like row is a reaction; older rows are plain likes
+  likes: `CREATE TABLE IF NOT EXISTS likes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    post_id INTEGER,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reaction TEXT DEFAULT 'like',
+    FOREIGN KEY(post_id) REFERENCES posts(id),
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  )`,
+
+  comment_likes: `CREATE TABLE IF NOT EXISTS comment_likes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    comment_id INTEGER,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(comment_id, user_id),
+    FOREIGN KEY(comment_id) REFERENCES comments(id),
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  )`,
+
+  // Hashtags, and where each one was used. A use in a comment also
+  // records the comment's post; post_id alone means the post itself.
+  hashtags: `CREATE TABLE IF NOT EXISTS hashtags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tag TEXT UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  hashtag_uses: `CREATE TABLE IF NOT EXISTS hashtag_uses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    hashtag_id INTEGER,
+    post_id INTEGER,
+    comment_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(hashtag_id) REFERENCES hashtags(id),
+    FOREIGN KEY(post_id) REFERENCES posts(id),
+    FOREIGN KEY(comment_id) REFERENCES comments(id)
+  )`,
+
+  // @mentions of users in posts and comments, same post/comment scheme
+  mentions: `CREATE TABLE IF NOT EXISTS mentions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    author_id INTEGER,
+    post_id INTEGER,
+    comment_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id),
+    FOREIGN KEY(author_id) REFERENCES users(id),
+    FOREIGN KEY(post_id) REFERENCES posts(id),
+    FOREIGN KEY(comment_id) REFERENCES comments(id)
+  )`,
+
+  follows: `CREATE TABLE IF NOT EXISTS follows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    follower_id INTEGER,
+    following_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(follower_id, following_id),
+    FOREIGN KEY(follower_id) REFERENCES users(id),
+    FOREIGN KEY(following_id) REFERENCES users(id)
+  )`,
+
+  chats: `CREATE TABLE IF NOT EXISTS chats (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user1_id INTEGER,
+    user2_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user1_id) REFERENCES users(id),
+    FOREIGN KEY(user2_id) REFERENCES users(id)
+  )`,
+
+  messages: `CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id INTEGER,
+    sender_id INTEGER,
+    content TEXT,
+    message_type TEXT DEFAULT 'text',
+    file_url TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    file_thumb TEXT,
+    FOREIGN KEY(chat_id) REFERENCES chats(id),
+    FOREIGN KEY(sender_id) REFERENCES users(id)
+  )`,
+
+  // Chat read markers: the last message each participant has seen
+  chat_reads: `CREATE TABLE IF NOT EXISTS chat_reads (
+    chat_id INTEGER,
+    user_id INTEGER,
+    last_read_message_id INTEGER DEFAULT 0,
+    read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(chat_id, user_id),
+    FOREIGN KEY(chat_id) REFERENCES chats(id),
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  )`,
+
+  reports: `CREATE TABLE IF NOT EXISTS reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reporter_id INTEGER,
+    target_type TEXT,
+    target_id INTEGER,
+    reason TEXT,
+    status TEXT DEFAULT 'pending',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    action_taken TEXT,
+    resolved_by INTEGER REFERENCES users(id),
+    resolved_at DATETIME,
+    FOREIGN KEY(reporter_id) REFERENCES users(id)
+  )`,
+
+  admin_messages: `CREATE TABLE IF NOT EXISTS admin_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipient TEXT,
+    message_type TEXT,
+    content TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sender_id INTEGER REFERENCES users(id),
+    recipient_user_id INTEGER REFERENCES users(id)
+  )`,
+
+  // Which users have read (dismissed) which admin messages
+  admin_message_reads: `CREATE TABLE IF NOT EXISTS admin_message_reads (
+    message_id INTEGER,
+    user_id INTEGER,
+    read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(message_id, user_id),
+    FOREIGN KEY(message_id) REFERENCES admin_messages(id),
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  )`,
+
+  // Notifications about other users' activity (likes, comments, new chats)
+  notifications: `CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    actor_id INTEGER,
+    type TEXT,
+    post_id INTEGER,
+    chat_id INTEGER,
+    is_read INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id),
+    FOREIGN KEY(actor_id) REFERENCES users(id)
+  )`,
+
+  // Password reset tokens; only a SHA-256 hash of the token is stored
+  password_resets: `CREATE TABLE IF NOT EXISTS password_resets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    token_hash TEXT UNIQUE,
+    expires_at DATETIME,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  )`,
+
+  // Site settings, editable from the admin panel
+  settings: `CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`
+};
+
+// Columns that older databases may be missing, in the order they were added
+const ADDED_COLUMNS = {
+  users: ['email TEXT', 'profile_thumb TEXT'],
+  posts: ['edited_at DATETIME', 'image_large TEXT', 'image_thumb TEXT', 'video_poster TEXT'],
+  comments: ['edited_at DATETIME', 'parent_id INTEGER REFERENCES comments(id)'],
+  likes: ["reaction TEXT DEFAULT 'like'"],
+  messages: ['file_thumb TEXT'],
+  reports: ['action_taken TEXT', 'resolved_by INTEGER REFERENCES users(id)', 'resolved_at DATETIME'],
+  admin_messages: ['sender_id INTEGER REFERENCES users(id)', 'recipient_user_id INTEGER REFERENCES users(id)']
+};
+
+// Full-text search indexes. They read from the real tables (external
+// content) and triggers keep them current.
+const SEARCH_INDEXES = [
+  { name: 'posts_fts', table: 'posts', columns: ['content'] },
+  { name: 'comments_fts', table: 'comments', columns: ['content'] },
+  { name: 'users_fts', table: 'users', columns: ['username', 'name', 'bio'] }
+];
+
+async function addMissingColumns(db, table, definitions) {
+  const existing = (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+  for (const definition of definitions) {
+    if (!existing.includes(definition.split(' ')[0])) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+    }
+  }
+}
+
+async function createSearchIndex(db, { name, table, columns }) {
+  const list = columns.join(', ');
+  const newValues = columns.map(column => `new.${column}`).join(', ');
+  const oldValues = columns.map(column => `old.${column}`).join(', ');
+
+  await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS ${name} USING fts5(${list}, content='${table}', content_rowid='id')`);
+  await db.run(`CREATE TRIGGER IF NOT EXISTS ${name}_insert AFTER INSERT ON ${table} BEGIN
+    INSERT INTO ${name}(rowid, ${list}) VALUES (new.id, ${newValues});
+  END`);
+  await db.run(`CREATE TRIGGER IF NOT EXISTS ${name}_delete AFTER DELETE ON ${table} BEGIN
+    INSERT INTO ${name}(${name}, rowid, ${list}) VALUES ('delete', old.id, ${oldValues});
+  END`);
+  await db.run(`CREATE TRIGGER IF NOT EXISTS ${name}_update AFTER UPDATE OF ${list} ON ${table} BEGIN
+    INSERT INTO ${name}(${name}, rowid, ${list}) VALUES ('delete', old.id, ${oldValues});
+    INSERT INTO ${name}(rowid, ${list}) VALUES (new.id, ${newValues});
+  END`);
+  // Index rows written before the index existed
+  await db.run(`INSERT INTO ${name}(${name}) VALUES ('rebuild')`);
+}
+
+module.exports = {
+  async up(db) {
+    for (const [table, sql] of Object.entries(TABLES)) {
+      await db.run(sql);
+      if (ADDED_COLUMNS[table]) await addMissingColumns(db, table, ADDED_COLUMNS[table]);
+    }
+
+    // One reaction per user and post: keep the first if there are duplicates
+    await db.run('DELETE FROM likes WHERE id NOT IN (SELECT MIN(id) FROM likes GROUP BY post_id, user_id)');
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS likes_post_user ON likes(post_id, user_id)');
+
+    // Posts from before albums get their single attachments listed
+    await db.run(`INSERT INTO post_media (post_id, position, media_type, url, large_url, thumb_url, poster_url)
+      SELECT id, 0, 'image', image, image_large, image_thumb, NULL FROM posts
+        WHERE image IS NOT NULL AND id NOT IN (SELECT post_id FROM post_media)
+      UNION ALL
+      SELECT id, 1, 'video', video, NULL, NULL, video_poster FROM posts
+        WHERE video IS NOT NULL AND id NOT IN (SELECT post_id FROM post_media)
+      UNION ALL
+      SELECT id, 2, 'audio', audio, NULL, NULL, NULL FROM posts
+        WHERE audio IS NOT NULL AND id NOT IN (SELECT post_id FROM post_media)`);
+
+    // Rows left behind by posts and comments deleted before deletions cleaned up after themselves
+    await db.run('DELETE FROM likes WHERE post_id NOT IN (SELECT id FROM posts)');
+    await db.run('DELETE FROM comments WHERE post_id NOT IN (SELECT id FROM posts)');
+    await db.run('DELETE FROM comment_likes WHERE comment_id NOT IN (SELECT id FROM comments)');
+    for (const table of ['hashtag_uses', 'mentions']) {
+      await db.run(`DELETE FROM ${table}
+        WHERE post_id NOT IN (SELECT id FROM posts)
+           OR (comment_id IS NOT NULL AND comment_id NOT IN (SELECT id FROM comments))`);
+    }
+
+    for (const index of SEARCH_INDEXES) {
+      await createSearchIndex(db, index);
+    }
+  },
+
+  async down(db) {
+    for (const { name } of SEARCH_INDEXES) {
+      await db.run(`DROP TABLE IF EXISTS ${name}`);
+    }
+    for (const table of Object.keys(TABLES).reverse()) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
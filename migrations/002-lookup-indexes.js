@@ -0,0 +1,31 @@
+// Indexes for the lookups made on every feed, post and chat view. Likes by
+// post are already covered by the unique likes_post_user index.
+
+const INDEXES = {
+  idx_likes_user: 'likes(user_id)',
+  idx_comments_post: 'comments(post_id, created_at)',
+  idx_comments_parent: 'comments(parent_id)',
+  idx_comment_likes_user: 'comment_likes(user_id)',
+  idx_messages_chat: 'messages(chat_id, id)',
+  idx_posts_user: 'posts(user_id, created_at)',
+  idx_post_media_post: 'post_media(post_id, position)',
+  idx_notifications_user: 'notifications(user_id, is_read)',
+  idx_follows_following: 'follows(following_id)',
+  idx_hashtag_uses_hashtag: 'hashtag_uses(hashtag_id, created_at)',
+  idx_hashtag_uses_post: 'hashtag_uses(post_id)',
+  idx_mentions_post: 'mentions(post_id)'
+};
+
+module.exports = {
+  async up(db) {
+    for (const [name, target] of Object.entries(INDEXES)) {
+      await db.run(`CREATE INDEX IF NOT EXISTS ${name} ON ${target}`);
+    }
+  },
+
+  async down(db) {
+    for (const name of Object.keys(INDEXES)) {
+      await db.run(`DROP INDEX IF EXISTS ${name}`);
+    }
+  }
+};
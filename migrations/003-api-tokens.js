@@ -0,0 +1,22 @@
+// Personal access tokens for /api/v1. Like password resets, only a SHA-256
+// hash of the token is stored; scopes is a comma-separated list.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      name TEXT,
+      token_hash TEXT UNIQUE,
+      scopes TEXT,
+      last_used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )`);
+    await db.run('CREATE INDEX idx_api_tokens_user ON api_tokens(user_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE api_tokens');
+  }
+};
@@ -0,0 +1,14 @@
+// Failed password attempts per account; after enough of them the account
+// is locked until locked_until (see recordFailedLogin in server.js).
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE users ADD COLUMN failed_logins INTEGER DEFAULT 0');
+    await db.run('ALTER TABLE users ADD COLUMN locked_until DATETIME');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE users DROP COLUMN locked_until');
+    await db.run('ALTER TABLE users DROP COLUMN failed_logins');
+  }
+};
@@ -0,0 +1,20 @@
+// Login sessions, kept in the database so they survive restarts (see
+// session-store.js). user_id is copied out of the session data so all of a
+// user's sessions can be found and ended together.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE sessions (
+      sid TEXT PRIMARY KEY,
+      user_id INTEGER,
+      data TEXT NOT NULL,
+      expires_at DATETIME NOT NULL
+    )`);
+    await db.run('CREATE INDEX idx_sessions_user ON sessions(user_id)');
+    await db.run('CREATE INDEX idx_sessions_expires ON sessions(expires_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE sessions');
+  }
+};
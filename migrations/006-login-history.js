@@ -0,0 +1,32 @@
+// Login history and where each session was opened from. login_events has
+// one row per sign-in attempt on an existing account; failure_reason is
+// 'password' or 'locked'.
+
+const SESSION_COLUMNS = ['ip TEXT', 'user_agent TEXT', 'created_at DATETIME', 'last_seen_at DATETIME'];
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE login_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      ip TEXT,
+      user_agent TEXT,
+      success INTEGER NOT NULL,
+      failure_reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )`);
+    await db.run('CREATE INDEX idx_login_events_user ON login_events(user_id, id)');
+
+    for (const column of SESSION_COLUMNS) {
+      await db.run(`ALTER TABLE sessions ADD COLUMN ${column}`);
+    }
+  },
+
+  async down(db) {
+    for (const column of SESSION_COLUMNS.slice().reverse()) {
+      await db.run(`ALTER TABLE sessions DROP COLUMN ${column.split(' ')[0]}`);
+    }
+    await db.run('DROP TABLE login_events');
+  }
+};
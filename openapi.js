@@ -0,0 +1,720 @@
+// OpenAPI 3 description of the JSON API, served at /api/openapi.json.
+// validation.js checks every /api request against it, so parameter and
+// body schemas here are the rules the server enforces.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+
+// JSON or a plain form post, same fields either way
+const body = (schema) => ({
+  required: true,
+  content: {
+    'application/json': { schema },
+    'application/x-www-form-urlencoded': { schema }
+  }
+});
+
+const multipart = (schema) => ({
+  required: true,
+  content: {
+    'multipart/form-data': { schema },
+    'application/json': { schema }
+  }
+});
+
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length ? { required } : {})
+});
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${status}` }]));
+
+const page = (item) => object({ data: { type: 'array', items: item }, next_cursor: ref('Cursor') });
+
+const success = (extra = {}) => json(object({ success: { type: 'boolean' }, ...extra }));
+
+// Non-blank text: at least one non-space character
+const text = (maxLength) => ({ type: 'string', pattern: '\\S', maxLength });
+
+const operation = (summary, tag, spec) => ({ summary, tags: [tag], ...spec });
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Website API',
+    version: '1.0.0',
+    description: 'JSON API of the website. /api/v1 accepts personal access tokens ' +
+      '(created in Settings) as well as the session cookie; /api is the same API for the web app. ' +
+      'With the session cookie, requests that change data must send the value of the XSRF-TOKEN ' +
+      'cookie in an X-CSRF-Token header.'
+  },
+  servers: [
+    { url: '/api/v1', description: 'Versioned API (token or session)' },
+    { url: '/api', description: 'Web app (session cookie)' }
+  ],
+  security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+  tags: [
+    { name: 'Account' }, { name: 'Tokens' }, { name: 'Sessions' }, { name: 'Profiles' }, { name: 'Posts' },
+    { name: 'Comments' }, { name: 'Search' }, { name: 'Users' }, { name: 'Chats' },
+    { name: 'Reports' }, { name: 'Inbox' }, { name: 'Notifications' }, { name: 'Admin' }, { name: 'Meta' }
+  ],
+
+  paths: {
+    '/openapi.json': {
+      get: operation('This document', 'Meta', {
+        security: [],
+        responses: { 200: json({ type: 'object' }) }
+      })
+    },
+
+    // ---------- Account ----------
+    '/user-info': {
+      get: operation('Logged-in user', 'Account', {
+        responses: { 200: json(ref('Account')), ...errors(401) }
+      })
+    },
+    '/account': {
+      delete: operation('Delete own account (session only)', 'Account', {
+        security: [{ cookieAuth: [] }],
+        requestBody: body(object({ password: { type: 'string', minLength: 1 } }, ['password'])),
+        responses: { 200: success(), ...errors(400, 401, 403) }
+      })
+    },
+    '/account/export': {
+      get: operation('Download own data as a ZIP file (session only)', 'Account', {
+        security: [{ cookieAuth: [] }],
+        responses: {
+          200: { description: 'ZIP archive', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } },
+          ...errors(401, 403)
+        }
+      })
+    },
+    '/account/logins': {
+      get: operation('Own login history, newest first', 'Account', {
+        parameters: [param('Before'), param('Limit')],
+        responses: { 200: json(page(ref('LoginEvent'))), ...errors(400, 401) }
+      })
+    },
+    '/account/password': {
+      put: operation('Change password (session only)', 'Account', {
+        security: [{ cookieAuth: [] }],
+        requestBody: body(object({
+          currentPassword: { type: 'string', minLength: 1 },
+          newPassword: { type: 'string', minLength: 6 }
+        }, ['currentPassword', 'newPassword'])),
+        responses: { 200: success(), ...errors(400, 401, 403) }
+      })
+    },
+
+    // ---------- Tokens ----------
+    '/tokens': {
+      get: operation('List own access tokens (session only)', 'Tokens', {
+        security: [{ cookieAuth: [] }],
+        responses: { 200: json({ type: 'array', items: ref('Token') }), ...errors(401, 403) }
+      }),
+      post: operation('Create an access token (session only)', 'Tokens', {
+        security: [{ cookieAuth: [] }],
+        requestBody: body(object({
+          name: { type: 'string', pattern: '\\S', maxLength: 100 },
+          scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: ['read', 'write', 'chat', 'admin'] } }
+        }, ['name', 'scopes'])),
+        responses: {
+          201: json({ allOf: [ref('Token'), object({ token: { type: 'string', description: 'Shown only once' } })] }, 'Created'),
+          ...errors(400, 401, 403)
+        }
+      })
+    },
+    '/tokens/{id}': {
+      parameters: [param('Id')],
+      delete: operation('Revoke an access token (session only)', 'Tokens', {
+        security: [{ cookieAuth: [] }],
+        responses: { 200: success(), ...errors(400, 401, 403, 404) }
+      })
+    },
+
+    // ---------- Sessions ----------
+    '/sessions': {
+      get: operation('Where the user is logged in (session only)', 'Sessions', {
+        security: [{ cookieAuth: [] }],
+        responses: { 200: json({ type: 'array', items: ref('Session') }), ...errors(401, 403) }
+      })
+    },
+    '/sessions/{sessionId}': {
+      parameters: [{ name: 'sessionId', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9a-f]{64}$' } }],
+      delete: operation('End another session (session only)', 'Sessions', {
+        security: [{ cookieAuth: [] }],
+        responses: { 200: success(), ...errors(400, 401, 403, 404) }
+      })
+    },
+    '/sessions/logout-others': {
+      post: operation('Sign out every other session (session only)', 'Sessions', {
+        security: [{ cookieAuth: [] }],
+        responses: { 200: success({ loggedOut: { type: 'integer' } }), ...errors(401, 403) }
+      })
+    },
+
+    // ---------- Profiles ----------
+    '/profile': {
+      put: operation('Update own profile', 'Profiles', {
+        requestBody: multipart(object({
+          username: { type: 'string', pattern: '^[\\p{L}\\p{N}_.]{1,50}$' },
+          name: text(100),
+          bio: { type: 'string', maxLength: 500 },
+          email: { type: 'string', pattern: '^$|^[^\\s@]+@[^\\s@]+$' },
+          profileImage: { type: 'string', format: 'binary' }
+        }, ['username', 'name'])),
+        responses: { 200: success({ user: ref('Account') }), ...errors(400, 401, 409, 413, 415) }
+      })
+    },
+    '/profile/{username}': {
+      parameters: [param('Username')],
+      get: operation('Public profile with counts', 'Profiles', {
+        responses: { 200: json(ref('Profile')), ...errors(401, 404) }
+      })
+    },
+    '/profile/{username}/posts': {
+      parameters: [param('Username'), param('Before'), param('Limit')],
+      get: operation("A user's posts visible to the viewer", 'Profiles', {
+        responses: { 200: json(page(ref('Post'))), ...errors(401, 404) }
+      })
+    },
+    '/profile/{username}/followers': {
+      parameters: [param('Username')],
+      get: operation('Followers of a user', 'Profiles', {
+        responses: { 200: json({ type: 'array', items: ref('UserSummary') }), ...errors(401) }
+      })
+    },
+    '/profile/{username}/following': {
+      parameters: [param('Username')],
+      get: operation('Users a user follows', 'Profiles', {
+        responses: { 200: json({ type: 'array', items: ref('UserSummary') }), ...errors(401) }
+      })
+    },
+
+    // ---------- Posts ----------
+    '/posts': {
+      get: operation('Feed, newest first', 'Posts', {
+        parameters: [param('Before'), param('Limit')],
+        responses: { 200: json(page(ref('Post'))), ...errors(401) }
+      }),
+      post: operation('Create a post', 'Posts', {
+        requestBody: multipart(object({
+          content: { type: 'string', maxLength: 1000 },
+          privacy: ref('Privacy'),
+          media: { type: 'array', maxItems: 10, items: { type: 'string', format: 'binary' } },
+          // captions[i]/altTexts[i] line up with media[i]; any may be left out
+          captions: { type: 'array', maxItems: 10, items: { maxLength: 300 } },
+          altTexts: { type: 'array', maxItems: 10, items: { maxLength: 300 } },
+          image: { type: 'string', format: 'binary' },
+          video: { type: 'string', format: 'binary' },
+          audio: { type: 'string', format: 'binary' }
+        })),
+        responses: { 201: success({ postId: { type: 'integer' } }), ...errors(400, 401, 413, 415) }
+      })
+    },
+    '/posts/{id}': {
+      parameters: [param('Id')],
+      put: operation('Edit a post', 'Posts', {
+        requestBody: body(object({ content: text(1000), privacy: ref('Privacy') }, ['content'])),
+        responses: { 200: json(ref('Post')), ...errors(400, 401, 403, 404) }
+      }),
+      delete: operation('Delete a post', 'Posts', {
+        responses: { 200: success(), ...errors(400, 401, 403, 404) }
+      })
+    },
+    '/posts/{id}/like': {
+      parameters: [param('Id')],
+      post: operation('Toggle a like', 'Posts', {
+        responses: { 200: json(object({ liked: { type: 'boolean' } })), ...errors(400, 401) }
+      })
+    },
+    '/posts/{id}/react': {
+      parameters: [param('Id')],
+      post: operation('Set, change or remove a reaction', 'Posts', {
+        requestBody: body(object({ reaction: ref('Reaction') }, ['reaction'])),
+        responses: { 200: json({ type: 'object' }), ...errors(400, 401, 404) }
+      })
+    },
+    '/posts/{id}/reactions': {
+      parameters: [
+        param('Id'),
+        { name: 'type', in: 'query', schema: ref('Reaction') },
+        param('Before'),
+        param('Limit')
+      ],
+      get: operation('Who reacted to a post', 'Posts', {
+        responses: { 200: json(page(ref('UserSummary'))), ...errors(400, 401, 404) }
+      })
+    },
+    '/posts/{id}/comments': {
+      parameters: [param('Id'), param('Before'), param('Limit')],
+      get: operation('Comments of a post as a reply tree', 'Comments', {
+        responses: { 200: json(page(ref('Comment'))), ...errors(400, 401, 404) }
+      })
+    },
+    '/posts/{id}/comment': {
+      parameters: [param('Id')],
+      post: operation('Comment on a post or reply to a comment', 'Comments', {
+        requestBody: body(object({
+          content: text(1000),
+          parentId: { type: 'integer', minimum: 1 }
+        }, ['content'])),
+        responses: { 200: success({ commentId: { type: 'integer' } }), ...errors(400, 401, 404, 429) }
+      })
+    },
+    '/comments/{id}': {
+      parameters: [param('Id')],
+      put: operation('Edit a comment', 'Comments', {
+        requestBody: body(object({ content: text(1000) }, ['content'])),
+        responses: { 200: success(), ...errors(400, 401, 403, 404) }
+      }),
+      delete: operation('Delete a comment and its replies', 'Comments', {
+        responses: { 200: success(), ...errors(400, 401, 403, 404) }
+      })
+    },
+    '/comments/{id}/like': {
+      parameters: [param('Id')],
+      post: operation('Toggle a comment like', 'Comments', {
+        responses: { 200: json(object({ liked: { type: 'boolean' }, like_count: { type: 'integer' } })), ...errors(400, 401, 404) }
+      })
+    },
+
+    // ---------- Search and hashtags ----------
+    '/search': {
+      get: operation('Full-text search', 'Search', {
+        parameters: [
+          { name: 'q', in: 'query', required: true, schema: { type: 'string', maxLength: 200 } },
+          { name: 'type', in: 'query', schema: { type: 'string', enum: ['posts', 'comments', 'users'] } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } }
+        ],
+        responses: { 200: json(ref('SearchResults')), ...errors(400, 401) }
+      })
+    },
+    '/hashtags/trending': {
+      get: operation('Most used hashtags', 'Search', {
+        parameters: [
+          { name: 'hours', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 720 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } }
+        ],
+        responses: {
+          200: json(object({
+            hours: { type: 'integer' },
+            data: {
+              type: 'array',
+              items: object({ tag: { type: 'string' }, use_count: { type: 'integer' }, post_count: { type: 'integer' } })
+            }
+          })),
+          ...errors(400, 401)
+        }
+      })
+    },
+    '/hashtags/{tag}/posts': {
+      parameters: [
+        { name: 'tag', in: 'path', required: true, schema: { type: 'string', maxLength: 51 } },
+        param('Before'),
+        param('Limit')
+      ],
+      get: operation('Posts with a hashtag', 'Search', {
+        responses: { 200: json({ allOf: [page(ref('Post')), object({ tag: { type: 'string' } })] }), ...errors(400, 401) }
+      })
+    },
+
+    // ---------- Users ----------
+    '/users': {
+      get: operation('All users', 'Users', {
+        parameters: [param('Before'), param('Limit')],
+        responses: { 200: json(page(ref('UserSummary'))), ...errors(401) }
+      })
+    },
+    '/users/search': {
+      get: operation('Find users by username or name', 'Users', {
+        parameters: [{ name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 1, maxLength: 100 } }],
+        responses: { 200: json({ type: 'array', items: ref('UserSummary') }), ...errors(400, 401) }
+      })
+    },
+    '/users/{id}/follow': {
+      parameters: [param('Id')],
+      post: operation('Follow a user', 'Users', {
+        responses: { 200: json(object({ following: { type: 'boolean' } })), ...errors(400, 401, 404) }
+      }),
+      delete: operation('Unfollow a user', 'Users', {
+        responses: { 200: json(object({ following: { type: 'boolean' } })), ...errors(400, 401) }
+      })
+    },
+
+    // ---------- Chats ----------
+    '/chats': {
+      get: operation('Own chats with last message and unread count', 'Chats', {
+        responses: { 200: json({ type: 'array', items: { type: 'object' } }), ...errors(401) }
+      }),
+      post: operation('Open (or find) a chat with another user', 'Chats', {
+        requestBody: body(object({ otherUserId: { type: 'integer', minimum: 1 } }, ['otherUserId'])),
+        responses: { 200: json(object({ id: { type: 'integer' }, user1_id: { type: 'integer' }, user2_id: { type: 'integer' } })), ...errors(400, 401, 404) }
+      })
+    },
+    '/chats/{id}/messages': {
+      parameters: [param('Id')],
+      get: operation('Messages, newest page first', 'Chats', {
+        parameters: [param('Before'), param('Limit')],
+        responses: { 200: json(page(ref('Message'))), ...errors(400, 401, 403) }
+      }),
+      post: operation('Send a message, optionally with a file', 'Chats', {
+        requestBody: multipart(object({
+          content: { type: 'string', maxLength: 2000 },
+          file: { type: 'string', format: 'binary' }
+        })),
+        responses: { 200: success({ messageId: { type: 'integer' } }), ...errors(400, 401, 403, 413, 415, 429) }
+      })
+    },
+    '/chats/{id}/read': {
+      parameters: [param('Id')],
+      post: operation('Mark messages as read', 'Chats', {
+        requestBody: {
+          content: { 'application/json': { schema: object({ messageId: { type: 'integer', minimum: 1 } }) } }
+        },
+        responses: { 200: success({ lastReadMessageId: { type: 'integer' } }), ...errors(400, 401, 403) }
+      })
+    },
+
+    // ---------- Reports ----------
+    '/reports': {
+      post: operation('Report a post, comment, message or user', 'Reports', {
+        requestBody: body(object({
+          targetType: { type: 'string', enum: ['post', 'comment', 'message', 'user'] },
+          targetId: { type: 'integer', minimum: 1 },
+          reason: text(500)
+        }, ['targetType', 'targetId', 'reason'])),
+        responses: { 200: success({ reportId: { type: 'integer' } }), ...errors(400, 401, 403, 404) }
+      })
+    },
+
+    // ---------- Inbox and notifications ----------
+    '/inbox': {
+      get: operation('Admin messages addressed to the user', 'Inbox', {
+        parameters: [param('Unread'), param('Before'), param('Limit')],
+        responses: { 200: json({ allOf: [page({ type: 'object' }), object({ unread_count: { type: 'integer' } })] }), ...errors(401) }
+      })
+    },
+    '/inbox/{id}/read': {
+      parameters: [param('Id')],
+      post: operation('Dismiss an admin message', 'Inbox', {
+        responses: { 200: success(), ...errors(400, 401, 404) }
+      })
+    },
+    '/notifications': {
+      get: operation('Notifications, newest first', 'Notifications', {
+        parameters: [param('Unread'), param('Before'), param('Limit')],
+        responses: { 200: json({ allOf: [page(ref('Notification')), object({ unread_count: { type: 'integer' } })] }), ...errors(401) }
+      })
+    },
+    '/notifications/read-all': {
+      post: operation('Mark every notification as read', 'Notifications', {
+        responses: { 200: success({ updated: { type: 'integer' } }), ...errors(401) }
+      })
+    },
+    '/notifications/{id}/read': {
+      parameters: [param('Id')],
+      post: operation('Mark one notification as read', 'Notifications', {
+        responses: { 200: success(), ...errors(400, 401, 404) }
+      })
+    },
+
+    // ---------- Admin ----------
+    '/admin/stats': {
+      get: operation('Site totals', 'Admin', {
+        responses: { 200: json({ type: 'object' }), ...errors(401, 403) }
+      })
+    },
+    '/admin/users': {
+      get: operation('All users with admin details', 'Admin', {
+        responses: { 200: json({ type: 'array', items: { type: 'object' } }), ...errors(401, 403) }
+      })
+    },
+    '/admin/users/{id}': {
+      parameters: [param('Id')],
+      delete: operation('Delete a user and their content', 'Admin', {
+        responses: { 200: success(), ...errors(400, 401, 403, 404) }
+      })
+    },
+    '/admin/users/{id}/block': {
+      parameters: [param('Id')],
+      post: operation('Block or unblock a user', 'Admin', {
+        requestBody: body(object({ blocked: { type: 'boolean' } }, ['blocked'])),
+        responses: { 200: success(), ...errors(400, 401, 403) }
+      })
+    },
+    '/admin/users/{id}/logins': {
+      parameters: [param('Id')],
+      get: operation('Login history of a user', 'Admin', {
+        parameters: [param('Before'), param('Limit')],
+        responses: { 200: json(page(ref('LoginEvent'))), ...errors(400, 401, 403) }
+      })
+    },
+    '/admin/users/{id}/sessions': {
+      parameters: [param('Id')],
+      get: operation('Active sessions of a user', 'Admin', {
+        responses: { 200: json({ type: 'array', items: ref('Session') }), ...errors(400, 401, 403) }
+      })
+    },
+    '/admin/users/{id}/unlock': {
+      parameters: [param('Id')],
+      post: operation('Lift a lockout after failed logins', 'Admin', {
+        responses: { 200: success(), ...errors(400, 401, 403, 404) }
+      })
+    },
+    '/admin/posts': {
+      get: operation('Search posts for moderation', 'Admin', {
+        parameters: [
+          { name: 'q', in: 'query', schema: { type: 'string', maxLength: 200 } },
+          { name: 'type', in: 'query', schema: { type: 'string', enum: ['text', 'media', 'image', 'video', 'audio'] } },
+          { name: 'reported', in: 'query', schema: { type: 'string', enum: ['0', '1', 'true', 'false'] } },
+          param('Before'),
+          param('Limit')
+        ],
+        responses: { 200: json(page(ref('Post'))), ...errors(400, 401, 403) }
+      })
+    },
+    '/admin/posts/{id}': {
+      parameters: [param('Id')],
+      get: operation('A post with its comments, likes and reports', 'Admin', {
+        responses: { 200: json({ type: 'object' }), ...errors(400, 401, 403, 404) }
+      }),
+      delete: operation('Delete any post', 'Admin', {
+        responses: { 200: success(), ...errors(400, 401, 403, 404) }
+      })
+    },
+    '/admin/messages': {
+      get: operation('Sent admin messages', 'Admin', {
+        parameters: [param('Before'), param('Limit')],
+        responses: { 200: json(page({ type: 'object' })), ...errors(401, 403) }
+      }),
+      post: operation('Send a message to everyone, a group or one user', 'Admin', {
+        requestBody: body({
+          ...object({
+            recipient: { type: 'string', enum: ['all', 'admins', 'blocked', 'specific'] },
+            username: { type: 'string', minLength: 1 },
+            messageType: { type: 'string', enum: ['info', 'warning', 'important'] },
+            content: text(2000)
+          }, ['recipient', 'messageType', 'content']),
+          if: object({ recipient: { const: 'specific' } }),
+          then: { required: ['username'] }
+        }),
+        responses: { 200: success({ messageId: { type: 'integer' } }), ...errors(400, 401, 403, 404) }
+      })
+    },
+    '/admin/settings': {
+      get: operation('Site settings', 'Admin', {
+        responses: { 200: json(ref('Settings')), ...errors(401, 403) }
+      }),
+      put: operation('Change site settings', 'Admin', {
+        requestBody: body(object({
+          maintenanceMode: { type: 'boolean' },
+          allowRegistrations: { type: 'boolean' },
+          maxFileSize: { type: 'integer', minimum: 1, maximum: 100 }
+        })),
+        responses: { 200: success(), ...errors(400, 401, 403) }
+      })
+    },
+    '/admin/reports': {
+      get: operation('Reports, optionally by status', 'Admin', {
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['all', 'pending', 'resolved', 'ignored'] } },
+          param('Before'),
+          param('Limit')
+        ],
+        responses: { 200: json(page({ type: 'object' })), ...errors(400, 401, 403) }
+      })
+    },
+    '/admin/reports/{id}/resolve': {
+      parameters: [param('Id')],
+      post: operation('Resolve a report, optionally acting on the content', 'Admin', {
+        requestBody: body(object({ action: { type: 'string', enum: ['none', 'delete_content', 'block_user'] } })),
+        responses: { 200: success({ resolved: { type: 'integer' } }), ...errors(400, 401, 403, 404) }
+      })
+    },
+    '/admin/reports/{id}/ignore': {
+      parameters: [param('Id')],
+      post: operation('Ignore a report', 'Admin', {
+        responses: { 200: success(), ...errors(400, 401, 403, 404) }
+      })
+    }
+  },
+
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Personal access token, /api/v1 only. Scopes: read (GET requests), ' +
+          'write (other requests), chat (/chats), admin (/admin, admins only).'
+      },
+      cookieAuth: { type: 'apiKey', in: 'cookie', name: 'connect.sid' }
+    },
+
+    parameters: {
+      Id: { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+      Username: { name: 'username', in: 'path', required: true, schema: { type: 'string', minLength: 1, maxLength: 50 } },
+      Before: {
+        name: 'before',
+        in: 'query',
+        description: 'next_cursor of the previous page',
+        schema: { type: 'integer', minimum: 1 }
+      },
+      Limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+      Unread: { name: 'unread', in: 'query', schema: { type: 'string', enum: ['0', '1', 'true', 'false'] } }
+    },
+
+    responses: {
+      400: json(ref('ValidationError'), 'Invalid request'),
+      401: json(ref('Error'), 'Not logged in or invalid token'),
+      403: json(ref('Error'), 'Not allowed'),
+      404: json(ref('Error'), 'Not found'),
+      409: json(ref('Error'), 'Conflict'),
+      413: json(ref('Error'), 'File too large'),
+      415: json(ref('Error'), 'File type not allowed'),
+      429: {
+        ...json(ref('Error'), 'Rate limit reached'),
+        headers: { 'Retry-After': { description: 'Seconds to wait', schema: { type: 'integer' } } }
+      }
+    },
+
+    schemas: {
+      Error: object({ error: { type: 'string' } }, ['error']),
+      ValidationError: object({
+        error: { type: 'string' },
+        details: {
+          type: 'array',
+          items: object({
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            field: { type: 'string' },
+            message: { type: 'string' }
+          })
+        }
+      }, ['error']),
+      Cursor: { type: 'integer', nullable: true, description: 'Pass as ?before= for the next page; null on the last page' },
+      Privacy: { type: 'string', enum: ['public', 'friends', 'private'] },
+      Reaction: { type: 'string', enum: ['like', 'love', 'laugh', 'wow', 'sad', 'angry'] },
+      Account: object({
+        id: { type: 'integer' },
+        username: { type: 'string' },
+        name: { type: 'string' },
+        email: { type: 'string', nullable: true },
+        bio: { type: 'string', nullable: true },
+        profile_image: { type: 'string' },
+        is_admin: { type: 'integer' }
+      }),
+      UserSummary: object({
+        id: { type: 'integer' },
+        username: { type: 'string' },
+        name: { type: 'string' },
+        profile_image: { type: 'string' }
+      }),
+      Profile: {
+        allOf: [ref('UserSummary'), object({
+          bio: { type: 'string', nullable: true },
+          post_count: { type: 'integer' },
+          like_count: { type: 'integer' },
+          follower_count: { type: 'integer' },
+          following_count: { type: 'integer' },
+          is_following: { type: 'integer' },
+          follows_you: { type: 'integer' }
+        })]
+      },
+      PostMedia: object({
+        position: { type: 'integer' },
+        media_type: { type: 'string', enum: ['image', 'video', 'audio'] },
+        url: { type: 'string' },
+        large_url: { type: 'string', nullable: true },
+        thumb_url: { type: 'string', nullable: true },
+        poster_url: { type: 'string', nullable: true },
+        caption: { type: 'string', nullable: true },
+        alt_text: { type: 'string', nullable: true }
+      }),
+      Post: object({
+        id: { type: 'integer' },
+        user_id: { type: 'integer' },
+        username: { type: 'string' },
+        content: { type: 'string', nullable: true },
+        privacy: ref('Privacy'),
+        media: { type: 'array', items: ref('PostMedia') },
+        like_count: { type: 'integer' },
+        reactions: { type: 'object', additionalProperties: { type: 'integer' } },
+        user_reaction: { type: 'string', nullable: true },
+        comment_count: { type: 'integer' },
+        created_at: { type: 'string' },
+        edited_at: { type: 'string', nullable: true }
+      }),
+      Comment: object({
+        id: { type: 'integer' },
+        post_id: { type: 'integer' },
+        user_id: { type: 'integer' },
+        parent_id: { type: 'integer', nullable: true },
+        username: { type: 'string' },
+        content: { type: 'string' },
+        like_count: { type: 'integer' },
+        user_liked: { type: 'integer' },
+        reply_count: { type: 'integer' },
+        replies: { type: 'array', items: ref('Comment') },
+        created_at: { type: 'string' },
+        edited_at: { type: 'string', nullable: true }
+      }),
+      Message: object({
+        id: { type: 'integer' },
+        chat_id: { type: 'integer' },
+        sender_id: { type: 'integer' },
+        content: { type: 'string', nullable: true },
+        message_type: { type: 'string', enum: ['text', 'file'] },
+        file_url: { type: 'string', nullable: true, description: 'Signed, expiring link for chat attachments' },
+        file_thumb: { type: 'string', nullable: true },
+        seen: { type: 'integer' },
+        created_at: { type: 'string' }
+      }),
+      Notification: object({
+        id: { type: 'integer' },
+        type: { type: 'string', enum: ['like', 'comment', 'chat', 'mention'] },
+        actor_id: { type: 'integer' },
+        post_id: { type: 'integer', nullable: true },
+        chat_id: { type: 'integer', nullable: true },
+        is_read: { type: 'integer' },
+        created_at: { type: 'string' }
+      }),
+      SearchResults: object({
+        query: { type: 'string' },
+        posts: { type: 'array', items: { type: 'object' } },
+        comments: { type: 'array', items: { type: 'object' } },
+        users: { type: 'array', items: { type: 'object' } }
+      }),
+      Token: object({
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string' } },
+        last_used_at: { type: 'string', nullable: true },
+        created_at: { type: 'string' }
+      }),
+      Session: object({
+        id: { type: 'string' },
+        current: { type: 'boolean' },
+        ip: { type: 'string', nullable: true },
+        user_agent: { type: 'string', nullable: true },
+        created_at: { type: 'string', nullable: true },
+        last_seen_at: { type: 'string', nullable: true }
+      }),
+      LoginEvent: object({
+        id: { type: 'integer' },
+        ip: { type: 'string', nullable: true },
+        user_agent: { type: 'string', nullable: true },
+        success: { type: 'integer', enum: [0, 1] },
+        failure_reason: { type: 'string', nullable: true, enum: ['password', 'locked', null] },
+        created_at: { type: 'string' }
+      }),
+      Settings: object({
+        maintenanceMode: { type: 'boolean' },
+        allowRegistrations: { type: 'boolean' },
+        maxFileSize: { type: 'integer' }
+      })
+    }
+  }
+};
@@ -0,0 +1,61 @@
+// Sends the CSRF token (the XSRF-TOKEN cookie set by the server) with
+// everything that changes data: a hidden _csrf field on POST forms, ?_csrf=
+// on multipart forms, whose body the server reads too late, and an
+// X-CSRF-Token header on same-origin fetch calls. Logout links are turned
+// into POST forms, since the server no longer signs out on a GET.
+(function () {
+    function csrfToken() {
+        const match = document.cookie.match(/(?:^|;\s*)XSRF-TOKEN=([^;]+)/);
+        return match ? decodeURIComponent(match[1]) : '';
+    }
+
+    document.addEventListener('submit', function (event) {
+        const form = event.target;
+        if ((form.getAttribute('method') || '').toUpperCase() !== 'POST') return;
+
+        if (form.enctype === 'multipart/form-data') {
+            const action = new URL(form.action, window.location.href);
+            action.searchParams.set('_csrf', csrfToken());
+            form.action = action.pathname + action.search;
+            return;
+        }
+
+        let field = form.querySelector('input[name="_csrf"]');
+        if (!field) {
+            field = document.createElement('input');
+            field.type = 'hidden';
+            field.name = '_csrf';
+            form.appendChild(field);
+        }
+        field.value = csrfToken();
+    }, true);
+
+    document.addEventListener('click', function (event) {
+        const link = event.target.closest('a[href="/logout"]');
+        if (!link) return;
+
+        event.preventDefault();
+        const form = document.createElement('form');
+        form.method = 'POST';
+        form.action = '/logout';
+        form.innerHTML = '<input type="hidden" name="_csrf">';
+        form.firstChild.value = csrfToken();
+        document.body.appendChild(form);
+        form.submit();
+    });
+
+    const originalFetch = window.fetch;
+    window.fetch = function (resource, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const url = new URL(resource instanceof Request ? resource.url : resource, window.location.href);
+
+        if (!['GET', 'HEAD', 'OPTIONS'].includes(method) && url.origin === window.location.origin) {
+            const headers = new Headers(options.headers);
+            headers.set('X-CSRF-Token', csrfToken());
+            options = { ...options, headers };
+        }
+        return originalFetch.call(this, resource, options);
+    };
+
+    window.csrfToken = csrfToken;
+})();
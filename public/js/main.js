@@ -4,6 +4,9 @@
 let currentUser = null;
 let posts = [];
 let users = [];
+let postsCursor = null;
+let loadingPosts = false;
+let notificationTimer = null;
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', function() {
@@ -23,6 +26,8 @@ async function checkAuthentication() {
             const userData = await response.json();
             currentUser = userData;
             updateUIForLoggedInUser();
+            loadAdminMessageBanner();
+            connectLiveUpdates();
         } else {
             redirectToLogin();
         }
@@ -51,17 +56,197 @@ function updateUIForLoggedInUser() {
             element.href = `profile.html?user=${currentUser.username}`;
         }
     });
+
+    const usernameDisplay = document.getElementById('usernameDisplay');
+    if (usernameDisplay) usernameDisplay.textContent = currentUser.username;
+
+    setupNotificationBell();
+}
+
+// Notification bell: unread badge in the nav plus a dropdown list
+const NOTIFICATION_TEXT = {
+    like: 'wuu jeclaaday post-kaaga',
+    comment: 'ayaa faallo ku qoray post-kaaga',
+    chat: 'ayaa kula bilaabay sheeko',
+    mention: 'ayaa kugu xusay'
+};
+
+function setupNotificationBell() {
+    const navMenu = document.querySelector('.nav-menu');
+    if (!navMenu || document.getElementById('notificationBell')) return;
+
+    const bell = document.createElement('div');
+    bell.id = 'notificationBell';
+    bell.className = 'notification-bell';
+    bell.innerHTML = `
+        <a href="#" class="nav-link" onclick="toggleNotificationPanel(event)">
+            🔔 <span class="notification-count" id="notificationCount" style="display: none;"></span>
+        </a>
+        <div class="notification-panel" id="notificationPanel" style="display: none;"></div>
+    `;
+
+    if (!document.querySelector('#notification-bell-styles')) {
+        const styles = document.createElement('style');
+        styles.id = 'notification-bell-styles';
+        styles.textContent = `
+            .notification-bell { position: relative; display: inline-block; }
+            .notification-count {
+                background: #dc3545;
+                color: white;
+                border-radius: 10px;
+                padding: 1px 6px;
+                font-size: 11px;
+            }
+            .notification-panel {
+                position: absolute;
+                right: 0;
+                top: 100%;
+                width: 300px;
+                max-height: 400px;
+                overflow-y: auto;
+                background: white;
+                color: #333;
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+                z-index: 1000;
+            }
+            .notification-item { display: block; padding: 10px 15px; color: inherit; text-decoration: none; border-bottom: 1px solid #eee; }
+            .notification-item.unread { background: #eef6ff; }
+            .notification-item small { display: block; color: #888; }
+            .notification-empty { padding: 15px; text-align: center; color: #888; }
+            .notification-read-all { width: 100%; padding: 8px; border: none; background: #f5f5f5; cursor: pointer; }
+        `;
+        document.head.appendChild(styles);
+    }
+
+    const logoutLink = navMenu.querySelector('.logout');
+    navMenu.insertBefore(bell, logoutLink);
+
+    loadNotifications();
+    clearInterval(notificationTimer);
+    notificationTimer = setInterval(loadNotifications, 60000);
+}
+
+async function loadNotifications() {
+    const result = await apiCall('/api/notifications?limit=10');
+    if (!result) return;
+
+    const count = document.getElementById('notificationCount');
+    count.textContent = result.unread_count > 99 ? '99+' : result.unread_count;
+    count.style.display = result.unread_count > 0 ? 'inline' : 'none';
+
+    const panel = document.getElementById('notificationPanel');
+    if (result.data.length === 0) {
+        panel.innerHTML = '<div class="notification-empty">Ogeysiis ma jiro</div>';
+        return;
+    }
+
+    const markAll = result.unread_count > 0
+        ? '<button class="notification-read-all" onclick="markAllNotificationsRead()">Calaamadee dhammaan la akhriyay</button>'
+        : '';
+
+    panel.innerHTML = markAll + result.data.map(notification => `
+        <a href="${notificationLink(notification)}"
+           class="notification-item ${notification.is_read ? '' : 'unread'}"
+           onclick="markNotificationRead(${notification.id})">
+            <strong>${escapeHtml(notification.actor_username)}</strong>
+            ${NOTIFICATION_TEXT[notification.type] || ''}
+            <small>${formatDate(notification.created_at)}</small>
+        </a>
+    `).join('');
+}
+
+function notificationLink(notification) {
+    if (notification.type === 'chat') return 'sheeko.html';
+    return `index.html#post-${notification.post_id}`;
+}
+
+function toggleNotificationPanel(event) {
+    event.preventDefault();
+    const panel = document.getElementById('notificationPanel');
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+}
+
+async function markNotificationRead(notificationId) {
+    await apiCall(`/api/notifications/${notificationId}/read`, { method: 'POST' });
+}
+
+async function markAllNotificationsRead() {
+    const result = await apiCall('/api/notifications/read-all', { method: 'POST' });
+    if (result) loadNotifications();
+}
+
+// Admin announcements: unread ones are shown as a banner until dismissed
+async function loadAdminMessageBanner() {
+    const inbox = await apiCall('/api/inbox?unread=1&limit=5');
+    if (!inbox || inbox.data.length === 0) return;
+
+    adminMessageBanner().innerHTML = inbox.data.map(renderAdminMessage).join('');
+}
+
+function adminMessageBanner() {
+    let banner = document.getElementById('adminMessageBanner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'adminMessageBanner';
+        banner.className = 'admin-message-banner';
+        document.body.prepend(banner);
+    }
+    return banner;
+}
+
+function renderAdminMessage(message) {
+    return `
+        <div class="admin-message ${escapeHtml(message.message_type)}" data-message-id="${message.id}">
+            <span>📢 ${escapeHtml(message.content)}</span>
+            <button onclick="dismissAdminMessage(${message.id})">×</button>
+        </div>
+    `;
+}
+
+// Announcements sent while the page is open arrive over the chat socket
+function connectLiveUpdates() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/ws/chat`);
+
+    socket.addEventListener('message', function(event) {
+        const data = JSON.parse(event.data);
+        if (data.type !== 'admin_message') return;
+        if (document.querySelector(`.admin-message[data-message-id="${data.message.id}"]`)) return;
+
+        adminMessageBanner().insertAdjacentHTML('afterbegin', renderAdminMessage(data.message));
+    });
+
+    // Reconnect after a short pause if the connection drops
+    socket.addEventListener('close', function() {
+        setTimeout(connectLiveUpdates, 5000);
+    });
+}
+
+async function dismissAdminMessage(messageId) {
+    const result = await apiCall(`/api/inbox/${messageId}/read`, { method: 'POST' });
+    if (!result) return;
+
+    const element = document.querySelector(`.admin-message[data-message-id="${messageId}"]`);
+    if (element) element.remove();
 }
 
 // API functions
+// CSRF token the server sets in the XSRF-TOKEN cookie
+function csrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)XSRF-TOKEN=([^;]+)/);
+    return match ? decodeURIComponent(match[1]) : '';
+}
+
 async function apiCall(endpoint, options = {}) {
     try {
         const response = await fetch(endpoint, {
+            ...options,
             headers: {
                 'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken(),
                 ...options.headers
-            },
-            ...options
+            }
         });
 
         if (response.status === 401) {
@@ -347,14 +532,22 @@ function loadPageSpecificFunctions() {
 function loadIndexFunctions() {
     loadPosts();
     setupSearch();
-    setupPostInteractions();
+    setupInfiniteScroll();
+}
+
+// Load the first page of the feed, replacing what is shown
+// index.html?tag=<hashtag> shows that hashtag's feed instead of the main one
+function feedEndpoint() {
+    const tag = new URLSearchParams(window.location.search).get('tag');
+    return tag ? `/api/hashtags/${encodeURIComponent(tag)}/posts` : '/api/posts';
 }
 
 async function loadPosts() {
     try {
-        const postsData = await apiCall('/api/posts');
-        if (postsData) {
-            posts = postsData;
+        const page = await apiCall(`${feedEndpoint()}?limit=20`);
+        if (page) {
+            posts = page.data;
+            postsCursor = page.next_cursor;
             displayPosts(posts);
         }
     } catch (error) {
@@ -362,6 +555,32 @@ async function loadPosts() {
     }
 }
 
+// Append the next page of the feed, if there is one
+async function loadMorePosts() {
+    if (loadingPosts || !postsCursor) return;
+
+    loadingPosts = true;
+    try {
+        const page = await apiCall(`${feedEndpoint()}?limit=20&before=${postsCursor}`);
+        if (page) {
+            posts = posts.concat(page.data);
+            postsCursor = page.next_cursor;
+            displayPosts(posts);
+        }
+    } catch (error) {
+        console.error('Error loading more posts:', error);
+    } finally {
+        loadingPosts = false;
+    }
+}
+
+function setupInfiniteScroll() {
+    window.addEventListener('scroll', debounce(() => {
+        const nearBottom = window.innerHeight + window.scrollY >= document.body.offsetHeight - 500;
+        if (nearBottom) loadMorePosts();
+    }, 100));
+}
+
 function displayPosts(postsArray) {
     const container = document.getElementById('postsContainer');
     if (!container) return;
@@ -378,44 +597,55 @@ function displayPosts(postsArray) {
     }
 
     container.innerHTML = postsArray.map(post => `
-        <div class="post" data-post-id="${post.id}">
+        <div class="post" id="post-${post.id}" data-post-id="${post.id}">
             <div class="post-header">
-                <img src="${post.profile_image}" alt="${post.username}" class="post-profile-img">
+                <img src="${escapeHtml(post.profile_image)}" alt="${escapeHtml(post.username)}" class="post-profile-img">
                 <div class="post-user-info">
-                    <strong>${post.username}</strong>
-                    <span class="post-time">${formatDate(post.created_at)}</span>
+                    <strong>${escapeHtml(post.username)}</strong>
+                    <span class="post-time">${formatDate(post.created_at)}${post.edited_at ? ' · (la beddelay)' : ''}</span>
                 </div>
+                ${canModify(post.user_id) ? `
+                    <div class="post-owner-actions">
+                        <button class="edit-btn" onclick="editPost(${post.id})">✏️</button>
+                        <button class="delete-btn" onclick="deletePost(${post.id})">🗑️</button>
+                    </div>
+                ` : ''}
             </div>
             
             <div class="post-content">
-                <p>${escapeHtml(post.content)}</p>
-                ${post.image ? `<img src="${post.image}" class="post-image" alt="Post image" onclick="openImageModal('${post.image}')">` : ''}
+                <p id="post-text-${post.id}">${formatContent(post.content)}</p>
+                ${post.media && post.media.length > 0 ? renderGallery(post) : `
+                ${post.image ? `<img src="${post.image}" class="post-image" alt="Post image" loading="lazy" onclick="openImageModal('${post.image_large || post.image}')">` : ''}
                 ${post.video ? `
-                    <video controls class="post-video">
-                        <source src="${post.video}" type="video/mp4">
+                    <video controls class="post-video" preload="none" ${post.video_poster ? `poster="${post.video_poster}"` : ''}>
+                        <source src="${post.video}">
                         Your browser does not support the video tag.
                     </video>
                 ` : ''}
                 ${post.audio ? `
                     <audio controls class="post-audio">
-                        <source src="${post.audio}" type="audio/mpeg">
+                        <source src="${post.audio}">
                         Your browser does not support the audio tag.
                     </audio>
                 ` : ''}
+                `}
             </div>
             
             <div class="post-actions">
-                <button class="like-btn ${post.user_liked ? 'liked' : ''}" onclick="likePost(${post.id})">
-                    ❤️ Like (${post.like_count})
-                </button>
+                <div class="post-reactions" id="reactions-${post.id}">${renderReactionBar(post)}</div>
                 <button class="comment-btn" onclick="showComments(${post.id})">
                     💬 Comment (${post.comment_count})
                 </button>
                 <button class="share-btn" onclick="sharePost(${post.id})">
                     🔗 Share
                 </button>
+                <button class="report-btn" onclick="reportContent('post', ${post.id})">
+                    🚩 Report
+                </button>
             </div>
 
+            <div class="reactions-list" id="reactions-list-${post.id}" style="display: none;"></div>
+
             <div class="comments-section" id="comments-${post.id}" style="display: none;">
                 <div class="comments-list" id="comments-list-${post.id}"></div>
                 <div class="comment-form">
@@ -446,18 +676,66 @@ function setupSearch() {
     }
 }
 
-function searchPosts(searchTerm) {
+// Server-side search; an empty box goes back to the feed
+async function searchPosts(searchTerm) {
     if (!searchTerm.trim()) {
         displayPosts(posts);
         return;
     }
 
-    const filteredPosts = posts.filter(post => 
-        post.content.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        post.username.toLowerCase().includes(searchTerm.toLowerCase())
-    );
+    const results = await apiCall(`/api/search?q=${encodeURIComponent(searchTerm)}`);
+    if (results) displaySearchResults(results);
+}
+
+// Snippets arrive escaped, with matches wrapped in <mark>
+function displaySearchResults(results) {
+    const container = document.getElementById('postsContainer');
+    if (!container) return;
 
-    displayPosts(filteredPosts);
+    const sections = [];
+
+    if (results.users.length > 0) {
+        sections.push(`
+            <h3>Dadka</h3>
+            ${results.users.map(user => `
+                <a class="search-result search-user" href="profile.html?user=${encodeURIComponent(user.username)}">
+                    <img src="${escapeHtml(user.profile_image)}" alt="${escapeHtml(user.username)}" class="post-profile-img">
+                    <strong>${user.username_highlight}</strong> ${user.name_highlight}
+                    ${user.snippet ? `<p>${user.snippet}</p>` : ''}
+                </a>
+            `).join('')}
+        `);
+    }
+
+    if (results.posts.length > 0) {
+        sections.push(`
+            <h3>Posts</h3>
+            ${results.posts.map(post => `
+                <div class="search-result search-post">
+                    <strong>${escapeHtml(post.username)}</strong>
+                    <span class="post-time">${formatDate(post.created_at)}</span>
+                    <p>${post.snippet}</p>
+                </div>
+            `).join('')}
+        `);
+    }
+
+    if (results.comments.length > 0) {
+        sections.push(`
+            <h3>Faallooyin</h3>
+            ${results.comments.map(comment => `
+                <div class="search-result search-comment">
+                    <strong>${escapeHtml(comment.username)}</strong>
+                    <span class="post-time">${formatDate(comment.created_at)}</span>
+                    <p>${comment.snippet}</p>
+                </div>
+            `).join('')}
+        `);
+    }
+
+    container.innerHTML = sections.length > 0
+        ? sections.join('')
+        : `<div class="no-posts"><h3>Wax natiijo ah lama helin "${escapeHtml(results.query)}"</h3></div>`;
 }
 
 async function likePost(postId) {
@@ -474,6 +752,66 @@ async function likePost(postId) {
     }
 }
 
+// Reactions a post can get, in the order they are shown
+const REACTION_EMOJI = {
+    like: '👍',
+    love: '❤️',
+    laugh: '😂',
+    wow: '😮',
+    sad: '😢',
+    angry: '😡'
+};
+
+function renderReactionBar(post) {
+    const reactions = post.reactions || {};
+    return Object.entries(REACTION_EMOJI).map(([type, emoji]) => `
+        <button class="reaction-btn ${post.user_reaction === type ? 'active' : ''}"
+                onclick="reactToPost(${post.id}, '${type}')" title="${type}">
+            ${emoji}${reactions[type] ? ` ${reactions[type]}` : ''}
+        </button>
+    `).join('') + `
+        <button class="reactions-count-btn" onclick="showReactions(${post.id})">(${post.like_count})</button>
+    `;
+}
+
+async function reactToPost(postId, reaction) {
+    const result = await apiCall(`/api/posts/${postId}/react`, {
+        method: 'POST',
+        body: JSON.stringify({ reaction })
+    });
+    if (!result) return;
+
+    const post = posts.find(p => p.id === postId);
+    if (post) {
+        Object.assign(post, result);
+        document.getElementById(`reactions-${postId}`).innerHTML = renderReactionBar(post);
+    }
+}
+
+// Toggle the "who reacted" list under a post
+async function showReactions(postId) {
+    const list = document.getElementById(`reactions-list-${postId}`);
+    if (!list) return;
+
+    if (list.style.display === 'block') {
+        list.style.display = 'none';
+        return;
+    }
+
+    const result = await apiCall(`/api/posts/${postId}/reactions?limit=50`);
+    if (!result) return;
+
+    list.innerHTML = result.data.length === 0
+        ? '<p>Cidna weli ma falcelin</p>'
+        : result.data.map(reaction => `
+            <div class="reaction-user">
+                ${REACTION_EMOJI[reaction.reaction] || ''}
+                <a href="profile.html?user=${encodeURIComponent(reaction.username)}">${escapeHtml(reaction.username)}</a>
+            </div>
+        `).join('');
+    list.style.display = 'block';
+}
+
 async function addComment(postId) {
     const input = document.getElementById(`comment-input-${postId}`);
     const content = input.value.trim();
@@ -503,9 +841,136 @@ function showComments(postId) {
     const commentsSection = document.getElementById(`comments-${postId}`);
     if (commentsSection) {
         commentsSection.style.display = commentsSection.style.display === 'none' ? 'block' : 'none';
+        if (commentsSection.style.display === 'block') loadComments(postId);
+    }
+}
+
+async function loadComments(postId) {
+    const result = await apiCall(`/api/posts/${postId}/comments`);
+    const list = document.getElementById(`comments-list-${postId}`);
+    if (!result || !list) return;
+
+    list.innerHTML = result.data.map(comment => renderComment(postId, comment)).join('');
+}
+
+// One comment with its replies nested below it; threads start collapsed
+function renderComment(postId, comment) {
+    return `
+        <div class="comment" data-comment-id="${comment.id}">
+            <strong>${escapeHtml(comment.username)}</strong>
+            <span class="comment-text">${formatContent(comment.content)}</span>
+            <small>${formatDate(comment.created_at)}${comment.edited_at ? ' · (la beddelay)' : ''}</small>
+            <div class="comment-actions">
+                <button class="comment-like-btn ${comment.user_liked ? 'liked' : ''}" onclick="likeComment(${comment.id})">
+                    ❤️ <span class="comment-like-count">${comment.like_count}</span>
+                </button>
+                <button onclick="replyToComment(${postId}, ${comment.id})">↩️ Jawaab</button>
+                ${canModify(comment.user_id) ? `
+                    <button onclick="editComment(${postId}, ${comment.id})">✏️</button>
+                    <button onclick="deleteComment(${postId}, ${comment.id})">🗑️</button>
+                ` : ''}
+                ${comment.reply_count > 0 ? `
+                    <button class="toggle-replies-btn" onclick="toggleReplies(${comment.id})">
+                        💬 ${comment.reply_count} jawaab
+                    </button>
+                ` : ''}
+            </div>
+            <div class="comment-replies" id="replies-${comment.id}" style="display: none; margin-left: 20px;">
+                ${comment.replies.map(reply => renderComment(postId, reply)).join('')}
+            </div>
+        </div>
+    `;
+}
+
+function toggleReplies(commentId) {
+    const replies = document.getElementById(`replies-${commentId}`);
+    if (replies) replies.style.display = replies.style.display === 'none' ? 'block' : 'none';
+}
+
+async function likeComment(commentId) {
+    const result = await apiCall(`/api/comments/${commentId}/like`, { method: 'POST' });
+    if (!result) return;
+
+    const button = document.querySelector(`.comment[data-comment-id="${commentId}"] .comment-like-btn`);
+    button.classList.toggle('liked', result.liked);
+    button.querySelector('.comment-like-count').textContent = result.like_count;
+}
+
+async function replyToComment(postId, parentId) {
+    const content = prompt('Qor jawaabtaada:');
+    if (content === null || !content.trim()) return;
+
+    const result = await apiCall(`/api/posts/${postId}/comment`, {
+        method: 'POST',
+        body: JSON.stringify({ content, parentId })
+    });
+
+    if (result) {
+        await loadComments(postId);
+        // Keep the thread that was answered open
+        let element = document.querySelector(`.comment[data-comment-id="${result.commentId}"]`);
+        while (element && element.classList.contains('comment')) {
+            const replies = element.parentElement;
+            if (replies.classList.contains('comment-replies')) replies.style.display = 'block';
+            element = replies.parentElement;
+        }
+    }
+}
+
+// Authors can edit and delete their own content, admins anything
+function canModify(authorId) {
+    return !!currentUser && (currentUser.id === authorId || !!currentUser.is_admin);
+}
+
+async function editPost(postId) {
+    const post = posts.find(p => p.id === postId);
+    if (!post) return;
+
+    const content = prompt('Beddel post-kaaga:', post.content);
+    if (content === null || !content.trim()) return;
+
+    const result = await apiCall(`/api/posts/${postId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ content })
+    });
+
+    if (result) {
+        Object.assign(post, result);
+        displayPosts(posts);
+        showNotification('Post-ka waa la beddelay', 'success');
+    }
+}
+
+async function deletePost(postId) {
+    if (!confirm('Ma hubtaa inaad tirtirto post-kan?')) return;
+
+    const result = await apiCall(`/api/posts/${postId}`, { method: 'DELETE' });
+    if (result) {
+        posts = posts.filter(p => p.id !== postId);
+        displayPosts(posts);
+        showNotification('Post-ka waa la tirtiray', 'success');
     }
 }
 
+async function editComment(postId, commentId) {
+    const element = document.querySelector(`.comment[data-comment-id="${commentId}"] .comment-text`);
+    const content = prompt('Beddel faalladaada:', element ? element.textContent : '');
+    if (content === null || !content.trim()) return;
+
+    const result = await apiCall(`/api/comments/${commentId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ content })
+    });
+    if (result) loadComments(postId);
+}
+
+async function deleteComment(postId, commentId) {
+    if (!confirm('Ma hubtaa inaad tirtirto faalladan?')) return;
+
+    const result = await apiCall(`/api/comments/${commentId}`, { method: 'DELETE' });
+    if (result) loadComments(postId);
+}
+
 function sharePost(postId) {
     const post = posts.find(p => p.id === postId);
     if (post && navigator.share) {
@@ -523,22 +988,196 @@ function sharePost(postId) {
     }
 }
 
+// Report a post, comment, user or message to the admins
+async function reportContent(targetType, targetId) {
+    const reason = prompt('Maxaad u soo sheegaysaa? (sababta)');
+    if (!reason || !reason.trim()) return;
+
+    const result = await apiCall('/api/reports', {
+        method: 'POST',
+        body: JSON.stringify({ targetType, targetId, reason })
+    });
+
+    if (result) {
+        showNotification('Mahadsanid, report-ka waa la diray', 'success');
+    }
+}
+
 // Utility functions
+// Escape user text and turn #hashtags and @mentions into links
+function formatContent(text) {
+    return escapeHtml(text)
+        .replace(/#([\p{L}\p{N}_]{1,50})/gu, (match, tag) =>
+            `<a href="index.html?tag=${encodeURIComponent(tag.toLowerCase())}" class="hashtag">${match}</a>`)
+        .replace(/@([\p{L}\p{N}_](?:[\p{L}\p{N}_.]{0,48}[\p{L}\p{N}_])?)/gu, (match, username) =>
+            `<a href="profile.html?user=${encodeURIComponent(username.toLowerCase())}" class="mention">${match}</a>`);
+}
+
+// Safe for attribute values as well as text, so quotes are escaped too
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Post attachments as a horizontally swipeable strip, one item per slide
+function renderGallery(post) {
+    addGalleryStyles();
+
+    const slides = post.media.map((item, index) => {
+        let body = '';
+        if (item.media_type === 'image') {
+            body = `<img src="${item.url}" alt="${escapeHtml(item.alt_text || item.caption || 'Post image')}" loading="lazy"
+                         onclick="openImageModal(${post.id}, ${index})">`;
+        } else if (item.media_type === 'video') {
+            body = `<video controls preload="none" ${item.poster_url ? `poster="${item.poster_url}"` : ''}>
+                        <source src="${item.url}">
+                    </video>`;
+        } else {
+            body = `<audio controls><source src="${item.url}"></audio>`;
+        }
+
+        return `
+            <div class="gallery-slide">
+                ${body}
+                ${item.caption ? `<p class="gallery-caption">${escapeHtml(item.caption)}</p>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    const dots = post.media.length > 1
+        ? `<div class="gallery-dots">${post.media.map((item, index) =>
+            `<span class="gallery-dot ${index === 0 ? 'active' : ''}"></span>`).join('')}</div>`
+        : '';
+
+    return `
+        <div class="post-gallery">
+            <div class="gallery-track" onscroll="updateGalleryDots(this)">${slides}</div>
+            ${dots}
+        </div>
+    `;
+}
+
+function updateGalleryDots(track) {
+    const index = Math.round(track.scrollLeft / track.clientWidth);
+    track.parentElement.querySelectorAll('.gallery-dot').forEach((dot, i) => {
+        dot.classList.toggle('active', i === index);
+    });
+}
+
+function addGalleryStyles() {
+    if (document.querySelector('#gallery-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'gallery-styles';
+    styles.textContent = `
+        .gallery-track {
+            display: flex;
+            overflow-x: auto;
+            scroll-snap-type: x mandatory;
+            scrollbar-width: none;
+        }
+        .gallery-track::-webkit-scrollbar { display: none; }
+        .gallery-slide {
+            flex: 0 0 100%;
+            scroll-snap-align: center;
+            text-align: center;
+        }
+        .gallery-slide img, .gallery-slide video { max-width: 100%; max-height: 500px; cursor: pointer; }
+        .gallery-slide audio { width: 100%; }
+        .gallery-caption { font-size: 13px; color: #666; margin: 5px 0; }
+        .gallery-dots { text-align: center; margin-top: 5px; }
+        .gallery-dot {
+            display: inline-block;
+            width: 7px;
+            height: 7px;
+            margin: 0 3px;
+            border-radius: 50%;
+            background: #ccc;
+        }
+        .gallery-dot.active { background: #333; }
+        .image-modal img { max-width: 90vw; max-height: 80vh; }
+        .image-modal .gallery-nav {
+            position: absolute;
+            top: 50%;
+            background: rgba(0,0,0,0.5);
+            color: white;
+            border: none;
+            font-size: 30px;
+            padding: 5px 15px;
+            cursor: pointer;
+        }
+        .image-modal .gallery-nav.prev { left: 10px; }
+        .image-modal .gallery-nav.next { right: 10px; }
+    `;
+    document.head.appendChild(styles);
 }
 
-function openImageModal(imageUrl) {
+// Full-size viewer. openImageModal(url) shows one image;
+// openImageModal(postId, index) steps through that post's album images.
+function openImageModal(postIdOrUrl, startIndex = 0) {
+    let images = [{ url: postIdOrUrl, caption: '' }];
+    let current = 0;
+
+    if (typeof postIdOrUrl === 'number') {
+        const post = posts.find(p => p.id === postIdOrUrl);
+        if (!post) return;
+        const album = post.media.filter(item => item.media_type === 'image');
+        images = album.map(item => ({ url: item.large_url || item.url, caption: item.caption || '', alt: item.alt_text }));
+        current = Math.max(album.indexOf(post.media[startIndex]), 0);
+    }
+
+    addGalleryStyles();
     const modal = document.createElement('div');
     modal.className = 'modal image-modal';
     modal.innerHTML = `
         <div class="modal-content">
-            <button class="close-btn" onclick="this.parentElement.parentElement.remove()">×</button>
-            <img src="${imageUrl}" alt="Full size" style="max-width: 90vw; max-height: 90vh;">
+            <button class="close-btn">×</button>
+            ${images.length > 1 ? '<button class="gallery-nav prev">‹</button><button class="gallery-nav next">›</button>' : ''}
+            <img alt="Full size">
+            <p class="gallery-caption"></p>
         </div>
     `;
+
+    const img = modal.querySelector('img');
+    const caption = modal.querySelector('.gallery-caption');
+    const show = (index) => {
+        current = (index + images.length) % images.length;
+        img.src = images[current].url;
+        img.alt = images[current].alt || images[current].caption || 'Full size';
+        caption.textContent = images[current].caption;
+    };
+    const onKey = (e) => {
+        if (e.key === 'ArrowLeft') show(current - 1);
+        if (e.key === 'ArrowRight') show(current + 1);
+        if (e.key === 'Escape') close();
+    };
+    const close = () => {
+        document.removeEventListener('keydown', onKey);
+        modal.remove();
+    };
+
+    modal.querySelector('.close-btn').addEventListener('click', close);
+    if (images.length > 1) {
+        modal.querySelector('.prev').addEventListener('click', () => show(current - 1));
+        modal.querySelector('.next').addEventListener('click', () => show(current + 1));
+
+        // Swipe left/right on touch screens
+        let touchStartX = null;
+        modal.addEventListener('touchstart', (e) => { touchStartX = e.touches[0].clientX; });
+        modal.addEventListener('touchend', (e) => {
+            if (touchStartX === null) return;
+            const distance = e.changedTouches[0].clientX - touchStartX;
+            if (Math.abs(distance) > 50) show(distance < 0 ? current + 1 : current - 1);
+            touchStartX = null;
+        });
+    }
+    document.addEventListener('keydown', onKey);
+
+    show(current);
     document.body.appendChild(modal);
     modal.style.display = 'block';
 }
@@ -554,11 +1193,17 @@ window.formatTime = formatTime;
 window.openModal = openModal;
 window.closeModal = closeModal;
 window.loadPosts = loadPosts;
+window.loadMorePosts = loadMorePosts;
 window.likePost = likePost;
+window.reactToPost = reactToPost;
+window.showReactions = showReactions;
 window.addComment = addComment;
 window.showComments = showComments;
 window.sharePost = sharePost;
+window.reportContent = reportContent;
+window.dismissAdminMessage = dismissAdminMessage;
 window.openImageModal = openImageModal;
+window.updateGalleryDots = updateGalleryDots;
 
 // Placeholder functions for other pages (to be implemented)
 function loadProfileFunctions() {
@@ -0,0 +1,64 @@
+// Fixed-window request limits. Each limiter counts hits per key (the
+// client IP, or the logged-in user) and, once `max` is passed within
+// `windowMs`, hands a RATE_LIMITED error to the error handler, which answers
+// 429 with a Retry-After header.
+//
+// Counts live in a store with two async methods:
+//   increment(key, windowMs) -> { count, resetAt }
+//   reset(key)
+// The memory store below is the default; a shared store (e.g. Redis) only
+// needs the same two methods when more than one server process runs.
+
+function createMemoryStore() {
+  const windows = new Map();
+
+  // Drop finished windows now and then so idle keys do not pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+}
+
+function rateLimitError(retryAfterSeconds, message) {
+  const err = new Error(message || 'Too many requests');
+  err.code = 'RATE_LIMITED';
+  err.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  return err;
+}
+
+// keyBy: 'ip', or 'user' (falls back to the IP when nobody is logged in)
+function createRateLimiter({ name, windowMs, max, keyBy = 'ip', store, message }) {
+  return (req, res, next) => {
+    const userId = req.session && req.session.userId;
+    const key = keyBy === 'user' && userId ? `${name}:user:${userId}` : `${name}:ip:${req.ip}`;
+
+    store.increment(key, windowMs)
+      .then(({ count, resetAt }) => {
+        if (count <= max) return next();
+        next(rateLimitError((resetAt - Date.now()) / 1000, message));
+      })
+      .catch(next);
+  };
+}
+
+module.exports = { createMemoryStore, createRateLimiter, rateLimitError };
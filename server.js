@@ -1,168 +1,489 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const session = require('express-session');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const archiver = require('archiver');
+const { processMedia, mediaFiles, mediaKind } = require('./media');
+const { WebSocketServer } = require('ws');
+const { createMailer } = require('./mailer');
+const { dbPath, openDatabase } = require('./database');
+const { migrate } = require('./migrate');
+const { createStorage, isPrivate, PRIVATE_PREFIX } = require('./storage');
+const openapiSpec = require('./openapi');
+const { createValidator } = require('./validation');
+const { createMemoryStore, createRateLimiter, rateLimitError } = require('./rate-limit');
+const { SQLiteSessionStore } = require('./session-store');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-
-// Database setup
-const dbPath = process.env.NODE_ENV === 'production' 
-  ? '/tmp/database.db' 
-  : './database.db';
-
-const db = new sqlite3.Database(dbPath);
-
-// Create all tables
-db.serialize(() => {
-  // Users table
-  db.run(`CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE,
-    password TEXT,
-    name TEXT,
-    profile_image TEXT DEFAULT 'images/default-profile.png',
-    bio TEXT,
-    is_admin INTEGER DEFAULT 0,
-    is_blocked INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  // Posts table
-  db.run(`CREATE TABLE IF NOT EXISTS posts (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
-    content TEXT,
-    image TEXT,
-    video TEXT,
-    audio TEXT,
-    privacy TEXT DEFAULT 'public',
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(user_id) REFERENCES users(id)
-  )`);
-
-  // Comments table
-  db.run(`CREATE TABLE IF NOT EXISTS comments (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    post_id INTEGER,
-    user_id INTEGER,
-    content TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(post_id) REFERENCES posts(id),
-    FOREIGN KEY(user_id) REFERENCES users(id)
-  )`);
-
-  // Likes table
-  db.run(`CREATE TABLE IF NOT EXISTS likes (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    post_id INTEGER,
-    user_id INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(post_id) REFERENCES posts(id),
-    FOREIGN KEY(user_id) REFERENCES users(id)
-  )`);
-
-  // Chats table
-  db.run(`CREATE TABLE IF NOT EXISTS chats (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user1_id INTEGER,
-    user2_id INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(user1_id) REFERENCES users(id),
-    FOREIGN KEY(user2_id) REFERENCES users(id)
-  )`);
-
-  // Messages table
-  db.run(`CREATE TABLE IF NOT EXISTS messages (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    chat_id INTEGER,
-    sender_id INTEGER,
-    content TEXT,
-    message_type TEXT DEFAULT 'text',
-    file_url TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(chat_id) REFERENCES chats(id),
-    FOREIGN KEY(sender_id) REFERENCES users(id)
-  )`);
-
-  // Reports table
-  db.run(`CREATE TABLE IF NOT EXISTS reports (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    reporter_id INTEGER,
-    target_type TEXT,
-    target_id INTEGER,
-    reason TEXT,
-    status TEXT DEFAULT 'pending',
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(reporter_id) REFERENCES users(id)
-  )`);
-
-  // Admin messages table
-  db.run(`CREATE TABLE IF NOT EXISTS admin_messages (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    recipient TEXT,
-    message_type TEXT,
-    content TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  // Create default admin user
+// Number of reverse proxies in front of the app, so req.ip is the client
+// and not the proxy (rate limits are counted per IP)
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY));
+// Public address used in links we email out (password reset)
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const mailer = createMailer();
+const fileStorage = createStorage();
+// How long links to private files (chat attachments) keep working
+const SIGNED_URL_TTL = Number(process.env.SIGNED_URL_TTL) || 60 * 60;
+// JSON routes are checked against the OpenAPI document (openapi.js)
+const validation = createValidator(openapiSpec, '/api');
+
+// Database setup. The schema lives in migrations/ and is brought up to
+// date (npm run migrate) before the server starts listening.
+const db = openDatabase();
+
+// Likes on comments that no longer exist
+const ORPHAN_COMMENT_LIKES = 'DELETE FROM comment_likes WHERE comment_id NOT IN (SELECT id FROM comments)';
+
+// Hashtag uses and mentions whose post or comment no longer exists
+const ORPHAN_TAG_LINKS = ['hashtag_uses', 'mentions'].map(table => `
+  DELETE FROM ${table}
+  WHERE post_id NOT IN (SELECT id FROM posts)
+     OR (comment_id IS NOT NULL AND comment_id NOT IN (SELECT id FROM comments))
+`);
+
+// Create the default admin user on an empty database
+function createDefaultAdmin() {
   db.get('SELECT COUNT(*) as count FROM users', (err, row) => {
-    if (row.count === 0) {
-      bcrypt.hash('admin123', 10, (err, hashedPassword) => {
-        db.run(
-          'INSERT INTO users (username, password, name, is_admin) VALUES (?, ?, ?, ?)',
-          ['admin', hashedPassword, 'Admin User', 1],
-          (err) => {
-            if (err) console.log('Error creating admin user:', err);
-            else console.log('Default admin user created: admin / admin123');
-          }
-        );
-      });
-    }
+    if (err || row.count > 0) return;
+
+    bcrypt.hash('admin123', 10, (err, hashedPassword) => {
+      db.run(
+        'INSERT INTO users (username, password, name, is_admin) VALUES (?, ?, ?, ?)',
+        ['admin', hashedPassword, 'Admin User', 1],
+        (err) => {
+          if (err) console.log('Error creating admin user:', err);
+          else console.log('Default admin user created: admin / admin123');
+        }
+      );
+    });
+  });
+}
+
+// Uploaded files. Private ones (chat attachments) need a signed link; with
+// the S3 driver everything else is sent on to the bucket.
+app.get('/uploads/*', (req, res, next) => {
+  let key;
+  try {
+    // Normalised so that e.g. /uploads//private/x cannot skip the check
+    key = path.posix.normalize(decodeURIComponent(req.path)).slice(1);
+  } catch (err) {
+    return next();
+  }
+
+  if (isPrivate(key) && !fileStorage.verifySignature(key, req.query)) {
+    return res.status(403).json({ error: 'Link expired or invalid' });
+  }
+  if (fileStorage.name !== 'local') return res.redirect(fileStorage.url(key));
+
+  res.sendFile(key, { root: fileStorage.root }, (err) => {
+    if (err) next();
   });
 });
 
 // Middleware
-app.use(express.static('public'));
+// Uploads are only sent by the route above, however the path is spelled
+// (/%75ploads/..., //uploads/...), even if LOCAL_STORAGE_DIR points into public/
+const serveStatic = express.static('public');
+app.use((req, res, next) => {
+  let pathname;
+  try {
+    pathname = path.posix.normalize(decodeURIComponent(req.path));
+  } catch (err) {
+    return next();
+  }
+  if (pathname.startsWith('/uploads/')) return next();
+  serveStatic(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
-app.use(session({
-  secret: process.env.SESSION_SECRET || 'website-secret-key-2024',
+
+// ==================== API v1 ====================
+
+// /api/v1/* serves the same routes as /api/*. Besides the session cookie it
+// accepts personal access tokens (Authorization: Bearer <token>); a token
+// request gets a throwaway session for its user and only reaches the routes
+// its scopes allow.
+const TOKEN_SCOPES = ['read', 'write', 'chat', 'admin'];
+
+// SHA-256 of a password reset or access token, the form we store
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function requiredScope(req) {
+  if (req.path.startsWith('/api/admin/')) return 'admin';
+  if (req.path.startsWith('/api/chats')) return 'chat';
+  return req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+}
+
+app.use((req, res, next) => {
+  if (!req.path.startsWith('/api/v1/')) return next();
+  req.url = req.url.replace('/api/v1/', '/api/');
+
+  const header = req.get('Authorization') || '';
+  if (!header.startsWith('Bearer ')) return next();
+
+  db.get(
+    `SELECT t.id, t.scopes, u.id as user_id, u.username, u.is_admin
+     FROM api_tokens t
+     JOIN users u ON t.user_id = u.id
+     WHERE t.token_hash = ? AND u.is_blocked = 0`,
+    [hashToken(header.slice('Bearer '.length).trim())],
+    (err, token) => {
+      if (err) return next(err);
+      if (!token) return res.status(401).json({ error: 'Invalid token' });
+
+      const scopes = token.scopes.split(',');
+      const scope = requiredScope(req);
+      if (!scopes.includes(scope)) {
+        return res.status(403).json({ error: `Token lacks the '${scope}' scope` });
+      }
+
+      db.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [token.id]);
+      req.token = { id: token.id, scopes };
+      req.session = {
+        userId: token.user_id,
+        username: token.username,
+        isAdmin: token.is_admin === 1 && scopes.includes('admin')
+      };
+      next();
+    }
+  );
+});
+
+// Sessions are stored in the database. SESSION_SECRET signs the cookie and
+// must be set in production; without it in development a random secret is
+// used, so restarting the server logs everyone out.
+if (!process.env.SESSION_SECRET && process.env.NODE_ENV === 'production') {
+  console.error('SESSION_SECRET must be set in production');
+  process.exit(1);
+}
+
+const sessionStore = new SQLiteSessionStore(db);
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  store: sessionStore,
   resave: false,
-  saveUninitialized: true,
+  saveUninitialized: false,
   cookie: { 
-    secure: false,
+    httpOnly: true,
+    sameSite: 'lax',
+    // Secure whenever the request came over HTTPS (set TRUST_PROXY behind a proxy)
+    secure: 'auto',
     maxAge: 24 * 60 * 60 * 1000
   }
-}));
+});
+// Token requests already have their session
+app.use((req, res, next) => (req.token ? next() : sessionMiddleware(req, res, next)));
+
+// CSRF protection: every state-changing request made with the session
+// cookie has to send the session's token, as an X-CSRF-Token header, a
+// _csrf form field, or ?_csrf= for multipart forms (their body is read
+// later, by multer). Pages read the token from the XSRF-TOKEN cookie;
+// public/js/csrf.js adds it to forms and fetch calls. Visitors who are not
+// logged in have no session to keep it in, so for them the cookie itself is
+// the token (double-submit) and no session row is created. Token requests
+// are exempt since browsers never send those on their own.
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const CSRF_COOKIE = 'XSRF-TOKEN';
+
+function csrfTokenMatches(expected, sent) {
+  if (typeof sent !== 'string' || sent.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
 
-// File upload setup
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = 'public/uploads/';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+function csrfCookie(req) {
+  const match = (req.headers.cookie || '').match(/(?:^|;\s*)XSRF-TOKEN=([^;]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+app.use((req, res, next) => {
+  if (req.token) return next();
+
+  const cookieToken = csrfCookie(req);
+  let token;
+  if (req.session.userId) {
+    if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    token = req.session.csrfToken;
+  } else {
+    token = cookieToken || crypto.randomBytes(32).toString('hex');
+  }
+  if (cookieToken !== token) {
+    res.cookie(CSRF_COOKIE, token, { sameSite: 'lax', secure: req.secure });
+  }
+
+  if (CSRF_SAFE_METHODS.includes(req.method)) return next();
+
+  const sent = req.get('X-CSRF-Token') || (req.body && req.body._csrf) || req.query._csrf;
+  if (req.body) delete req.body._csrf;
+  delete req.query._csrf;
+
+  // A freshly made anonymous token was never sent to the page, so it can't match
+  const known = req.session.userId || cookieToken;
+  if (!known || !csrfTokenMatches(token, sent)) {
+    const err = new Error('Invalid CSRF token');
+    err.code = 'EBADCSRFTOKEN';
+    return next(err);
+  }
+  next();
+});
+
+// Site settings; rows missing from the settings table fall back to these
+const DEFAULT_SETTINGS = {
+  maintenance_mode: '0',
+  allow_registrations: '1',
+  max_file_size_mb: '50'
+};
+
+function getSettings(callback) {
+  db.all('SELECT key, value FROM settings', [], (err, rows) => {
+    if (err) return callback(err);
+    const settings = { ...DEFAULT_SETTINGS };
+    rows.forEach(row => { settings[row.key] = row.value; });
+    callback(null, settings);
+  });
+}
+
+// Maintenance mode: only admins get through; login stays open so they can sign in
+const MAINTENANCE_OPEN_PATHS = ['/login', '/login.html', '/logout', '/health'];
+
+app.use((req, res, next) => {
+  if (req.session.isAdmin || MAINTENANCE_OPEN_PATHS.includes(req.path)) return next();
+
+  getSettings((err, settings) => {
+    if (err) return next(err);
+    if (settings.maintenance_mode !== '1') return next();
+
+    if (req.path.startsWith('/api/')) {
+      return res.status(503).json({ error: 'Site is under maintenance' });
     }
-    cb(null, uploadDir);
+    res.status(503).sendFile(path.join(__dirname, 'views', 'maintenance.html'));
+  });
+});
+
+app.use(validation.validateRequest);
+
+// File upload setup. Multer saves into a scratch directory; files move to
+// fileStorage once they have been checked and resized.
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'website-uploads');
+
+const uploadStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    fs.mkdir(UPLOAD_TMP_DIR, { recursive: true }, (err) => cb(err, UPLOAD_TMP_DIR));
   },
+  // The extension is added once the content has been checked (media.js)
   filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname);
+    cb(null, Date.now() + '-' + crypto.randomBytes(8).toString('hex'));
   }
 });
 
-const upload = multer({ 
-  storage: storage,
-  limits: { fileSize: 50 * 1024 * 1024 }
-});
+// The size limit comes from settings, so build the multer instance per request
+function withUploadLimit(pickMiddleware) {
+  return (req, res, next) => {
+    getSettings((err, settings) => {
+      if (err) return next(err);
+
+      const instance = multer({ 
+        storage: uploadStorage,
+        limits: { fileSize: Number(settings.max_file_size_mb) * 1024 * 1024 }
+      });
+      pickMiddleware(instance)(req, res, next);
+    });
+  };
+}
+
+// Check and resize what multer saved, then move the results into
+// fileStorage; routes read the stored keys from file.media
+// ({ url, mime, variants }). If any file is rejected, everything from the
+// request is removed.
+function storeUploadedMedia(options = {}) {
+  const prefix = options.private ? PRIVATE_PREFIX : 'uploads/';
+  const keyFor = (filePath) => prefix + path.basename(filePath);
+
+  return async (req, res, next) => {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+
+    try {
+      for (const file of files) {
+        file.processed = await processMedia(file.fieldname, file);
+      }
+      for (const file of files) {
+        for (const filePath of mediaFiles(file.processed)) {
+          await fileStorage.put(keyFor(filePath), filePath);
+        }
+        file.media = {
+          url: keyFor(file.processed.path),
+          mime: file.processed.mime,
+          variants: Object.fromEntries(
+            Object.entries(file.processed.variants).map(([name, filePath]) => [name, keyFor(filePath)])
+          )
+        };
+      }
+      next();
+    } catch (err) {
+      files.forEach(file => {
+        const localFiles = file.processed ? mediaFiles(file.processed) : [file.path];
+        localFiles.forEach(filePath => {
+          fs.unlink(filePath, () => {});
+          removeUploadedFile(keyFor(filePath));
+        });
+      });
+      next(err);
+    }
+  };
+}
+
+// Private attachments are stored by key; readers get short-lived links instead
+function signMessageFiles(messages) {
+  return Promise.all(messages.map(async (message) => {
+    for (const column of ['file_url', 'file_thumb']) {
+      if (message[column] && isPrivate(message[column])) {
+        message[column] = await fileStorage.signedUrl(message[column], SIGNED_URL_TTL);
+      }
+    }
+  }));
+}
+
+// Every stored key belonging to an upload
+function storedFiles(media) {
+  return [...new Set([media.url, ...Object.values(media.variants)])];
+}
+
+// Multipart bodies of documented API routes can only be checked once multer
+// has parsed them; a rejected request leaves no files behind
+function validateUploadedBody(req, res, next) {
+  const details = validation.validateUploadBody(req);
+  if (details.length === 0) return next();
+
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+  files.forEach(file => storedFiles(file.media).forEach(removeUploadedFile));
+  validation.sendErrors(res, details);
+}
+
+const upload = {
+  single: (field, options) => [withUploadLimit(instance => instance.single(field)), storeUploadedMedia(options), validateUploadedBody],
+  fields: (fields, options) => [withUploadLimit(instance => instance.fields(fields)), storeUploadedMedia(options), validateUploadedBody]
+};
+
+// Rate limits: requests allowed per window, per client IP or per logged-in
+// user. The max can be changed with RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_LOGIN=50.
+const MINUTE = 60 * 1000;
+const RATE_LIMITS = {
+  login: { windowMs: 15 * MINUTE, max: 20, keyBy: 'ip' },
+  register: { windowMs: 60 * MINUTE, max: 10, keyBy: 'ip' },
+  forget_password: { windowMs: 60 * MINUTE, max: 5, keyBy: 'ip' },
+  comment: { windowMs: MINUTE, max: 10, keyBy: 'user' },
+  message: { windowMs: MINUTE, max: 30, keyBy: 'user' }
+};
+
+const rateLimitStore = createMemoryStore();
+const rateLimit = Object.fromEntries(Object.entries(RATE_LIMITS).map(([name, limit]) => [
+  name,
+  createRateLimiter({
+    name,
+    ...limit,
+    max: Number(process.env[`RATE_LIMIT_${name.toUpperCase()}`]) || limit.max,
+    store: rateLimitStore,
+    message: 'Codsiyo badan ayaad dirtay, fadlan sug wax yar'
+  })
+]));
+
+// Progressive lockout: after LOGIN_LOCKOUT_THRESHOLD wrong passwords in a
+// row an account is locked for a minute, and every further failure doubles
+// that, up to a day. A successful login, a password reset or an admin
+// unlock clears it.
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_SECONDS = 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+
+function lockoutSeconds(failures) {
+  if (failures < LOGIN_LOCKOUT_THRESHOLD) return 0;
+  return Math.min(LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD), LOGIN_LOCKOUT_MAX_SECONDS);
+}
+
+function accountLockedError(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  return rateLimitError(seconds, `Akoonkan waa la xiray sababo la xiriira isku day badan. Isku day mar kale ${minutes} daqiiqo kadib`);
+}
+
+// Count a wrong password; calls back with the lock length in seconds (0 = not locked).
+// The count is bumped in SQL so parallel attempts can't each write back a stale value.
+function recordFailedLogin(user, callback) {
+  db.get(
+    'UPDATE users SET failed_logins = failed_logins + 1 WHERE id = ? RETURNING failed_logins',
+    [user.id],
+    (err, row) => {
+      if (err) return callback(err);
+      const seconds = lockoutSeconds(row.failed_logins);
+      if (seconds === 0) return callback(null, 0);
+
+      db.run(
+        `UPDATE users SET locked_until = datetime('now', '+' || ? || ' seconds') WHERE id = ?`,
+        [seconds, user.id],
+        (err) => callback(err, seconds)
+      );
+    }
+  );
+}
+
+// Usernames with no (active) account go through the same password check and
+// lockout as real ones, so the replies don't reveal which accounts exist.
+// Their counts live in memory and are forgotten after a quiet day.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password', 10);
+const unknownLoginFailures = new Map();
+
+setInterval(() => {
+  const cutoff = Date.now() - LOGIN_LOCKOUT_MAX_SECONDS * 1000;
+  unknownLoginFailures.forEach((entry, username) => {
+    if (entry.lastFailureAt < cutoff) unknownLoginFailures.delete(username);
+  });
+}, 60 * 60 * 1000).unref();
+
+// Seconds left on the lock of an unknown username (0 = not locked)
+function unknownLoginLockSeconds(username) {
+  const entry = unknownLoginFailures.get(username);
+  return entry ? Math.max(0, Math.ceil((entry.lockedUntil - Date.now()) / 1000)) : 0;
+}
+
+function recordUnknownLoginFailure(username) {
+  const entry = unknownLoginFailures.get(username) || { failures: 0, lockedUntil: 0 };
+  entry.failures += 1;
+  entry.lastFailureAt = Date.now();
+  const seconds = lockoutSeconds(entry.failures);
+  if (seconds > 0) entry.lockedUntil = Date.now() + seconds * 1000;
+  unknownLoginFailures.set(username, entry);
+  return seconds;
+}
+
+// One row of login history; reason is 'password' or 'locked' for failures
+function recordLoginEvent(req, userId, success, reason = null) {
+  db.run(
+    'INSERT INTO login_events (user_id, ip, user_agent, success, failure_reason) VALUES (?, ?, ?, ?, ?)',
+    [userId, req.ip, req.get('User-Agent') || null, success ? 1 : 0, reason],
+    (err) => {
+      if (err) console.error('Login history error:', err);
+    }
+  );
+}
+
+function clearLoginLockout(userId, callback) {
+  db.run('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?', [userId], callback);
+}
 
 // Authentication middleware
+// API routes and scripted requests get JSON errors instead of pages and redirects
+function wantsJson(req) {
+  return req.path.startsWith('/api/') || req.xhr || (req.headers.accept || '').includes('json');
+}
+
 function requireLogin(req, res, next) {
   if (!req.session.userId) {
-    if (req.xhr || req.headers.accept.indexOf('json') > -1) {
+    if (wantsJson(req)) {
       return res.status(401).json({ error: 'Authentication required' });
     }
     return res.redirect('/login.html');
@@ -172,11 +493,364 @@ function requireLogin(req, res, next) {
 
 function requireAdmin(req, res, next) {
   if (!req.session.userId || !req.session.isAdmin) {
+    if (wantsJson(req)) return res.status(403).json({ error: 'Admin access required' });
     return res.status(403).send('Admin access required');
   }
   next();
 }
 
+function requireRegistrationsOpen(req, res, next) {
+  getSettings((err, settings) => {
+    if (err) return res.status(500).send('Server error');
+    if (settings.allow_registrations !== '1') {
+      return res.status(403).send('Diiwaangelinta cusub waa xiran tahay');
+    }
+    next();
+  });
+}
+
+// Find a chat the user takes part in; calls back with null if there is none
+function findChatForUser(chatId, userId, callback) {
+  db.get(
+    'SELECT * FROM chats WHERE id = ? AND (user1_id = ? OR user2_id = ?)',
+    [chatId, userId, userId],
+    callback
+  );
+}
+
+// Route guard for /api/chats/:id/...; the chat is left on req.chat
+function requireChatAccess(req, res, next) {
+  findChatForUser(req.params.id, req.session.userId, (err, chat) => {
+    if (err || !chat) return res.status(403).json({ error: 'Access denied' });
+    req.chat = chat;
+    next();
+  });
+}
+
+// Cursor pagination shared by list endpoints: ?before=<id>&limit=<n>.
+// Queries fetch limit + 1 rows ordered by id DESC so we know if there is more.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function parsePageParams(query) {
+  const before = parseInt(query.before, 10);
+  const limit = parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE;
+  return {
+    before: before > 0 ? before : Number.MAX_SAFE_INTEGER,
+    limit: Math.min(Math.max(limit, 1), MAX_PAGE_SIZE)
+  };
+}
+
+function pageResponse(rows, limit) {
+  const data = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? data[data.length - 1].id : null;
+  return { data, next_cursor: nextCursor };
+}
+
+// Post columns that point at uploaded files
+const POST_MEDIA_COLUMNS = ['image', 'image_large', 'image_thumb', 'video', 'video_poster', 'audio'];
+const ATTACHMENT_FILE_COLUMNS = ['url', 'large_url', 'thumb_url', 'poster_url'];
+const MAX_POST_MEDIA = 10;
+
+// Add each post's attachments as post.media, in order
+function attachPostMedia(posts, callback) {
+  if (posts.length === 0) return callback(null, posts);
+
+  db.all(
+    `SELECT id, post_id, position, media_type, url, large_url, thumb_url, poster_url, caption, alt_text
+     FROM post_media WHERE post_id IN (${posts.map(() => '?').join(', ')})
+     ORDER BY post_id, position`,
+    posts.map(post => post.id),
+    (err, rows) => {
+      if (err) return callback(err);
+      posts.forEach(post => {
+        post.media = rows.filter(row => row.post_id === post.id);
+      });
+      callback(null, posts);
+    }
+  );
+}
+
+// Remove an uploaded file from storage; default images and missing files are ignored
+function removeUploadedFile(key) {
+  if (!key || !key.startsWith('uploads/')) return;
+
+  fileStorage.remove(key).catch(err => console.log('Error removing upload:', err));
+}
+
+// Delete a comment with all replies below it; calls back with (err, deleted)
+function deleteComment(commentId, callback) {
+  db.run(
+    `WITH RECURSIVE thread(id) AS (
+       SELECT id FROM comments WHERE id = ?
+       UNION ALL SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+     )
+     DELETE FROM comments WHERE id IN thread`,
+    [commentId],
+    function(err) {
+      if (err) return callback(err);
+      const deleted = this.changes > 0;
+      db.serialize(() => {
+        ORPHAN_TAG_LINKS.forEach(query => db.run(query));
+        db.run(ORPHAN_COMMENT_LIKES, (err) => callback(err, deleted));
+      });
+    }
+  );
+}
+
+// A problem with the request itself; status is the HTTP status to answer with
+function requestError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Authors may change their own posts and comments, admins may change anything
+function canModify(req, authorId) {
+  return authorId === req.session.userId || !!req.session.isAdmin;
+}
+
+const POST_PRIVACY = ['public', 'friends', 'private'];
+
+// Delete a post together with its likes, comments and uploaded media.
+// Calls back with (err, deleted).
+function deletePost(postId, callback) {
+  db.get('SELECT * FROM posts WHERE id = ?', [postId], (err, post) => {
+    if (err) return callback(err);
+    if (!post) return callback(null, false);
+
+    attachPostMedia([post], (err) => {
+      if (err) return callback(err);
+
+      db.serialize(() => {
+        db.run('DELETE FROM likes WHERE post_id = ?', [postId]);
+        db.run('DELETE FROM comments WHERE post_id = ?', [postId]);
+        db.run(ORPHAN_COMMENT_LIKES);
+        db.run('DELETE FROM notifications WHERE post_id = ?', [postId]);
+        db.run('DELETE FROM hashtag_uses WHERE post_id = ?', [postId]);
+        db.run('DELETE FROM mentions WHERE post_id = ?', [postId]);
+        db.run('DELETE FROM post_media WHERE post_id = ?', [postId]);
+        db.run('DELETE FROM posts WHERE id = ?', [postId], (err) => {
+          if (err) return callback(err);
+          POST_MEDIA_COLUMNS.forEach(column => removeUploadedFile(post[column]));
+          post.media.forEach(item => ATTACHMENT_FILE_COLUMNS.forEach(column => removeUploadedFile(item[column])));
+          callback(null, true);
+        });
+      });
+    });
+  });
+}
+
+// Record a notification for userId about something actorId did.
+// Nobody is notified about their own activity; failures are only logged.
+function notify(userId, actorId, type, refs = {}) {
+  if (!userId || userId === actorId) return;
+
+  db.run(
+    'INSERT INTO notifications (user_id, actor_id, type, post_id, chat_id) VALUES (?, ?, ?, ?, ?)',
+    [userId, actorId, type, refs.postId || null, refs.chatId || null],
+    (err) => {
+      if (err) console.log('Error creating notification:', err);
+    }
+  );
+}
+
+// Remove a user and everything they own. Their posts take the likes and
+// comments on them along; chats they were part of are removed for both sides.
+// Reports they filed are kept but no longer point at them.
+function deleteUserAccount(userId, callback) {
+  const ownPosts = 'SELECT id FROM posts WHERE user_id = ?';
+  const ownChats = 'SELECT id FROM chats WHERE user1_id = ? OR user2_id = ?';
+
+  db.get('SELECT profile_image, profile_thumb FROM users WHERE id = ?', [userId], (err, user) => {
+    if (err) return callback(err);
+    if (!user) return callback(null, false);
+
+    db.all(
+      POST_MEDIA_COLUMNS.map(column => `SELECT ${column} AS file FROM posts WHERE user_id = ?`)
+        .concat(ATTACHMENT_FILE_COLUMNS.map(column => `SELECT ${column} FROM post_media WHERE post_id IN (${ownPosts})`))
+        .join(' UNION ALL ') + `
+       UNION ALL SELECT file_url FROM messages WHERE chat_id IN (${ownChats})
+       UNION ALL SELECT file_thumb FROM messages WHERE chat_id IN (${ownChats})`,
+      [...POST_MEDIA_COLUMNS.map(() => userId), ...ATTACHMENT_FILE_COLUMNS.map(() => userId), userId, userId, userId, userId],
+      (err, files) => {
+        if (err) return callback(err);
+
+        db.serialize(() => {
+          db.run(`DELETE FROM likes WHERE user_id = ? OR post_id IN (${ownPosts})`, [userId, userId]);
+          // Replies to the user's comments go with them
+          db.run(
+            `WITH RECURSIVE thread(id) AS (
+               SELECT id FROM comments WHERE user_id = ? OR post_id IN (${ownPosts})
+               UNION ALL SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+             )
+             DELETE FROM comments WHERE id IN thread`,
+            [userId, userId]
+          );
+          db.run('DELETE FROM comment_likes WHERE user_id = ?', [userId]);
+          db.run(ORPHAN_COMMENT_LIKES);
+          db.run('DELETE FROM mentions WHERE user_id = ?', [userId]);
+          db.run(
+            `DELETE FROM notifications WHERE user_id = ? OR actor_id = ? OR post_id IN (${ownPosts})`,
+            [userId, userId, userId]
+          );
+          db.run(`DELETE FROM post_media WHERE post_id IN (${ownPosts})`, [userId]);
+          db.run('DELETE FROM posts WHERE user_id = ?', [userId]);
+          db.run(`DELETE FROM chat_reads WHERE chat_id IN (${ownChats})`, [userId, userId]);
+          db.run(`DELETE FROM messages WHERE chat_id IN (${ownChats})`, [userId, userId]);
+          db.run('DELETE FROM chats WHERE user1_id = ? OR user2_id = ?', [userId, userId]);
+          db.run('DELETE FROM follows WHERE follower_id = ? OR following_id = ?', [userId, userId]);
+          db.run('DELETE FROM admin_message_reads WHERE user_id = ?', [userId]);
+          db.run('DELETE FROM password_resets WHERE user_id = ?', [userId]);
+          db.run('DELETE FROM api_tokens WHERE user_id = ?', [userId]);
+          db.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+          db.run('DELETE FROM login_events WHERE user_id = ?', [userId]);
+          db.run('UPDATE reports SET reporter_id = NULL WHERE reporter_id = ?', [userId]);
+          db.run('UPDATE admin_messages SET sender_id = NULL WHERE sender_id = ?', [userId]);
+          ORPHAN_TAG_LINKS.forEach(query => db.run(query));
+          db.run('DELETE FROM users WHERE id = ?', [userId], (err) => {
+            if (err) return callback(err);
+            files.forEach(row => removeUploadedFile(row.file));
+            removeUploadedFile(user.profile_image);
+            removeUploadedFile(user.profile_thumb);
+            callback(null, true);
+          });
+        });
+      }
+    );
+  });
+}
+
+// Block or unblock an account. Blocking also ends all of its sessions, so the
+// user is signed out now instead of when the cookie runs out.
+function setUserBlocked(userId, blocked, callback) {
+  db.run('UPDATE users SET is_blocked = ? WHERE id = ?', [blocked ? 1 : 0, userId], (err) => {
+    if (err || !blocked) return callback(err);
+    sessionStore.destroyUserSessions(userId, null, (err) => callback(err));
+  });
+}
+
+const REACTIONS = ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+
+// Reaction columns for post lists; takes the viewer id once as a query param.
+// like_count counts every reaction, reactions is a JSON object of type -> count.
+const POST_REACTION_COLUMNS = `
+  (SELECT COUNT(*) FROM likes WHERE post_id = p.id) as like_count,
+  (SELECT json_group_object(reaction, total) FROM (
+    SELECT reaction, COUNT(*) as total FROM likes WHERE post_id = p.id GROUP BY reaction
+  )) as reactions,
+  (SELECT reaction FROM likes WHERE post_id = p.id AND user_id = ?) as user_reaction
+`;
+
+function parseReactions(posts) {
+  posts.forEach(post => { post.reactions = JSON.parse(post.reactions || '{}'); });
+  return posts;
+}
+
+const HASHTAG_PATTERN = /#([\p{L}\p{N}_]{1,50})/gu;
+// Dots may appear inside a username but not end one, so "@ali." mentions ali
+const MENTION_PATTERN = /@([\p{L}\p{N}_](?:[\p{L}\p{N}_.]{0,48}[\p{L}\p{N}_])?)/gu;
+
+function extractTags(pattern, content) {
+  const found = new Set();
+  for (const match of (content || '').matchAll(pattern)) found.add(match[1].toLowerCase());
+  return [...found];
+}
+
+// Store the hashtags and @mentions of a post ({ postId }) or a comment
+// ({ postId, commentId }), replacing what an earlier version had.
+// Users mentioned for the first time get a notification, if they can see the post.
+function saveTagsAndMentions({ postId, commentId = null, authorId, content }) {
+  const tags = extractTags(HASHTAG_PATTERN, content);
+  const usernames = extractTags(MENTION_PATTERN, content);
+  const target = commentId ? 'comment_id = ?' : 'post_id = ? AND comment_id IS NULL';
+  const targetId = commentId || postId;
+  const logError = (err) => {
+    if (err) console.log('Error saving hashtags/mentions:', err);
+  };
+
+  db.serialize(() => {
+    db.run(`DELETE FROM hashtag_uses WHERE ${target}`, [targetId], logError);
+    tags.forEach(tag => {
+      db.run('INSERT OR IGNORE INTO hashtags (tag) VALUES (?)', [tag], logError);
+      db.run(
+        'INSERT INTO hashtag_uses (hashtag_id, post_id, comment_id) SELECT id, ?, ? FROM hashtags WHERE tag = ?',
+        [postId, commentId, tag],
+        logError
+      );
+    });
+  });
+
+  db.all(`SELECT user_id FROM mentions WHERE ${target}`, [targetId], (err, previous) => {
+    if (err) return logError(err);
+    const alreadyMentioned = new Set(previous.map(row => row.user_id));
+
+    const saveMentions = (users) => {
+      db.serialize(() => {
+        db.run(`DELETE FROM mentions WHERE ${target}`, [targetId], logError);
+        users.forEach(user => {
+          db.run(
+            'INSERT INTO mentions (user_id, author_id, post_id, comment_id) VALUES (?, ?, ?, ?)',
+            [user.id, authorId, postId, commentId],
+            logError
+          );
+          if (!alreadyMentioned.has(user.id)) notifyMentionIfVisible(user.id, authorId, postId);
+        });
+      });
+    };
+
+    if (usernames.length === 0) return saveMentions([]);
+
+    db.all(
+      `SELECT id FROM users WHERE username IN (${usernames.map(() => '?').join(', ')}) AND is_blocked = 0`,
+      usernames,
+      (err, users) => {
+        if (err) return logError(err);
+        saveMentions(users);
+      }
+    );
+  });
+}
+
+// A mention in a private or friends-only post only notifies people who may read it
+function notifyMentionIfVisible(userId, authorId, postId) {
+  db.get(
+    `SELECT p.id FROM posts p WHERE p.id = ? AND ${POST_VISIBILITY}`,
+    [postId, userId, userId, userId],
+    (err, post) => {
+      if (err) return console.log('Error saving hashtags/mentions:', err);
+      if (post) notify(userId, authorId, 'mention', { postId });
+    }
+  );
+}
+
+// Post visibility for the current user: public posts, own posts, and
+// 'friends' posts from people who follow each other. Takes the viewer id
+// three times as query params.
+const POST_VISIBILITY = `(
+  p.privacy = 'public'
+  OR p.user_id = ?
+  OR (p.privacy = 'friends'
+      AND EXISTS(SELECT 1 FROM follows WHERE follower_id = ? AND following_id = p.user_id)
+      AND EXISTS(SELECT 1 FROM follows WHERE follower_id = p.user_id AND following_id = ?))
+)`;
+
+// Route guard for /api/posts/:id/...: the post must exist and be visible to
+// the user, or it answers 404 as if there were none. The post is left on req.post.
+function requireVisiblePost(req, res, next) {
+  const userId = req.session.userId;
+  db.get(
+    `SELECT p.id, p.user_id FROM posts p WHERE p.id = ? AND ${POST_VISIBILITY}`,
+    [req.params.id, userId, userId, userId],
+    (err, post) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      req.post = post;
+      next();
+    }
+  );
+}
+
 // ==================== ROUTES ====================
 
 // Home page
@@ -210,7 +884,7 @@ app.get('/:page', (req, res) => {
 // User info
 app.get('/api/user-info', requireLogin, (req, res) => {
   db.get(
-    'SELECT id, username, name, profile_image, is_admin FROM users WHERE id = ?',
+    'SELECT id, username, name, email, bio, profile_image, is_admin FROM users WHERE id = ?',
     [req.session.userId],
     (err, user) => {
       if (err) return res.status(500).json({ error: 'Database error' });
@@ -221,16 +895,17 @@ app.get('/api/user-info', requireLogin, (req, res) => {
 });
 
 // Register
-app.post('/register', upload.single('profileImage'), async (req, res) => {
-  const { username, password, name } = req.body;
+app.post('/register', rateLimit.register, requireRegistrationsOpen, upload.single('profileImage'), async (req, res) => {
+  const { username, password, name, email } = req.body;
   
   try {
     const hashedPassword = await bcrypt.hash(password, 10);
-    const profileImage = req.file ? 'uploads/' + req.file.filename : 'images/default-profile.png';
+    const profileImage = req.file ? req.file.media.url : 'images/default-profile.png';
+    const profileThumb = req.file ? req.file.media.variants.thumb : null;
 
     db.run(
-      'INSERT INTO users (username, password, name, profile_image) VALUES (?, ?, ?, ?)',
-      [username.toLowerCase(), hashedPassword, name, profileImage],
+      'INSERT INTO users (username, password, name, profile_image, profile_thumb, email) VALUES (?, ?, ?, ?, ?, ?)',
+      [username.toLowerCase(), hashedPassword, name, profileImage, profileThumb, email ? email.trim().toLowerCase() : null],
       function(err) {
         if (err) {
           if (err.code === 'SQLITE_CONSTRAINT') {
@@ -247,25 +922,60 @@ app.post('/register', upload.single('profileImage'), async (req, res) => {
 });
 
 // Login
-app.post('/login', (req, res) => {
+app.post('/login', rateLimit.login, (req, res, next) => {
   const { username, password } = req.body;
   
   db.get(
-    'SELECT * FROM users WHERE username = ? AND is_blocked = 0', 
+    `SELECT *, CAST(strftime('%s', locked_until) - strftime('%s', 'now') AS INTEGER) as lock_seconds
+     FROM users WHERE username = ? AND is_blocked = 0`,
     [username.toLowerCase()],
     async (err, user) => {
       if (err) return res.status(500).send('Server error');
-      if (!user) return res.send('Username ama password khalad');
+      if (!user) {
+        const lockSeconds = unknownLoginLockSeconds(username.toLowerCase());
+        if (lockSeconds > 0) return next(accountLockedError(lockSeconds));
+
+        try {
+          await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        } catch (error) {
+          return res.status(500).send('Server error');
+        }
+        const seconds = recordUnknownLoginFailure(username.toLowerCase());
+        if (seconds > 0) return next(accountLockedError(seconds));
+        return res.send('Username ama password khalad');
+      }
+      if (user.lock_seconds > 0) {
+        recordLoginEvent(req, user.id, false, 'locked');
+        return next(accountLockedError(user.lock_seconds));
+      }
 
       try {
         const validPassword = await bcrypt.compare(password, user.password);
-        if (!validPassword) return res.send('Username ama password khalad');
+        if (!validPassword) {
+          recordLoginEvent(req, user.id, false, 'password');
+          return recordFailedLogin(user, (err, seconds) => {
+            if (err) return res.status(500).send('Server error');
+            if (seconds > 0) return next(accountLockedError(seconds));
+            res.send('Username ama password khalad');
+          });
+        }
+
+        if (user.failed_logins > 0 || user.locked_until) clearLoginLockout(user.id);
 
-        req.session.userId = user.id;
-        req.session.username = user.username;
-        req.session.isAdmin = user.is_admin === 1;
-        
-        res.redirect('/');
+        // A fresh session id, so one planted before login is worthless
+        req.session.regenerate((err) => {
+          if (err) return res.status(500).send('Server error');
+
+          req.session.userId = user.id;
+          req.session.username = user.username;
+          req.session.isAdmin = user.is_admin === 1;
+          // Shown in the list of active sessions
+          req.session.ip = req.ip;
+          req.session.userAgent = req.get('User-Agent') || null;
+          recordLoginEvent(req, user.id, true);
+
+          res.redirect('/');
+        });
       } catch (error) {
         res.status(500).send('Server error');
       }
@@ -273,88 +983,398 @@ app.post('/login', (req, res) => {
   );
 });
 
-// Logout
-app.get('/logout', (req, res) => {
+// Logout; a POST so other sites can't sign people out with a link or image
+app.post('/logout', (req, res) => {
   req.session.destroy();
   res.redirect('/login.html');
 });
 
-// ==================== PROFILE APIs ====================
+// ==================== ACCOUNT APIs ====================
+
+// Tokens, sessions, the password, account deletion and the data export are
+// for a logged-in browser only: a leaked token must not be able to mint more
+// tokens, take the account over or download every private message
+function requireSessionLogin(req, res, next) {
+  if (req.token) return res.status(403).json({ error: 'This needs a browser session, not an access token' });
+  requireLogin(req, res, next);
+}
 
-// Update profile
-app.post('/update-profile', upload.single('profileImage'), requireLogin, (req, res) => {
-  const { username, name, bio } = req.body;
+// Delete own account; the password has to be entered again
+app.delete('/api/account', requireSessionLogin, (req, res) => {
   const userId = req.session.userId;
+  const { password } = req.body;
 
-  let updateQuery = 'UPDATE users SET username = ?, name = ?, bio = ?';
-  let queryParams = [username.toLowerCase(), name, bio];
+  if (!password) return res.status(400).json({ error: 'Password required' });
 
-  if (req.file) {
-    updateQuery += ', profile_image = ?';
-    queryParams.push('uploads/' + req.file.filename);
-  }
+  db.get('SELECT password, is_admin FROM users WHERE id = ?', [userId], async (err, user) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!user) return res.status(404).json({ error: 'User not found' });
 
-  updateQuery += ' WHERE id = ?';
-  queryParams.push(userId);
+    try {
+      const validPassword = await bcrypt.compare(password, user.password);
+      if (!validPassword) return res.status(403).json({ error: 'Password-ku waa khalad' });
+    } catch (error) {
+      return res.status(500).json({ error: 'Server error' });
+    }
 
-  db.run(updateQuery, queryParams, function(err) {
-    if (err) {
-      if (err.code === 'SQLITE_CONSTRAINT') {
-        return res.send('Username hore u jiray');
+    db.get('SELECT COUNT(*) as count FROM users WHERE is_admin = 1', (err, row) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (user.is_admin && row.count <= 1) {
+        return res.status(400).json({ error: 'Admin-ka kaliya ah lama tirtiri karo' });
       }
-      return res.status(500).send('Server error');
-    }
-    
-    req.session.username = username;
-    res.redirect('/settings.html');
+
+      deleteUserAccount(userId, (err) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        req.session.destroy(() => res.json({ success: true }));
+      });
+    });
   });
 });
 
-// Update password
-app.post('/update-password', requireLogin, async (req, res) => {
-  const { currentPassword, newPassword } = req.body;
+// Download everything the user owns as a ZIP: data.json plus their media
+app.get('/api/account/export', requireSessionLogin, (req, res) => {
   const userId = req.session.userId;
+  const ownChats = 'SELECT id FROM chats WHERE user1_id = ? OR user2_id = ?';
 
-  db.get(
-    'SELECT password FROM users WHERE id = ?',
-    [userId],
-    async (err, user) => {
-      if (err) return res.status(500).send('Server error');
-      
-      try {
-        const validPassword = await bcrypt.compare(currentPassword, user.password);
-        if (!validPassword) return res.send('Password-ka hadda waa khalad');
+  const queries = {
+    profile: ['SELECT id, username, name, email, bio, profile_image, profile_thumb, created_at FROM users WHERE id = ?', [userId]],
+    posts: ['SELECT * FROM posts WHERE user_id = ? ORDER BY id', [userId]],
+    post_media: [
+      'SELECT * FROM post_media WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?) ORDER BY post_id, position',
+      [userId]
+    ],
+    comments: ['SELECT * FROM comments WHERE user_id = ? ORDER BY id', [userId]],
+    likes: ['SELECT post_id, reaction, created_at FROM likes WHERE user_id = ? ORDER BY id', [userId]],
+    following: [
+      `SELECT u.username, f.created_at FROM follows f JOIN users u ON f.following_id = u.id
+       WHERE f.follower_id = ? ORDER BY f.id`,
+      [userId]
+    ],
+    followers: [
+      `SELECT u.username, f.created_at FROM follows f JOIN users u ON f.follower_id = u.id
+       WHERE f.following_id = ? ORDER BY f.id`,
+      [userId]
+    ],
+    messages: [
+      `SELECT m.chat_id, u.username as sender, m.content, m.message_type, m.file_url, m.file_thumb, m.created_at
+       FROM messages m JOIN users u ON m.sender_id = u.id
+       WHERE m.chat_id IN (${ownChats}) ORDER BY m.id`,
+      [userId, userId]
+    ],
+    notifications: ['SELECT type, post_id, chat_id, is_read, created_at FROM notifications WHERE user_id = ? ORDER BY id', [userId]],
+    reports: ['SELECT target_type, target_id, reason, status, created_at FROM reports WHERE reporter_id = ? ORDER BY id', [userId]],
+    logins: ['SELECT ip, user_agent, success, failure_reason, created_at FROM login_events WHERE user_id = ? ORDER BY id', [userId]]
+  };
 
-        const hashedPassword = await bcrypt.hash(newPassword, 10);
-        
-        db.run(
-          'UPDATE users SET password = ? WHERE id = ?',
-          [hashedPassword, userId],
-          function(err) {
-            if (err) return res.status(500).send('Server error');
-            res.redirect('/settings.html?message=password_updated');
-          }
-        );
-      } catch (error) {
-        res.status(500).send('Server error');
-      }
+  const data = {};
+  const names = Object.keys(queries);
+  let pending = names.length;
+  let failed = false;
+
+  names.forEach(name => {
+    const [query, params] = queries[name];
+    db.all(query, params, (err, rows) => {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return res.status(500).json({ error: 'Database error' });
+      }
+      data[name] = name === 'profile' ? rows[0] : rows;
+      if (--pending === 0) sendExport(data);
+    });
+  });
+
+  async function sendExport(data) {
+    // Only files the user uploaded themselves: their posts, profile image and sent attachments
+    const files = new Set();
+    [data.profile.profile_image, data.profile.profile_thumb].concat(
+      data.posts.flatMap(post => POST_MEDIA_COLUMNS.map(column => post[column])),
+      data.post_media.flatMap(item => ATTACHMENT_FILE_COLUMNS.map(column => item[column])),
+      data.messages.filter(m => m.sender === data.profile.username).flatMap(m => [m.file_url, m.file_thumb])
+    ).forEach(file => {
+      if (file && file.startsWith('uploads/')) files.add(file);
+    });
+
+    res.attachment(`${data.profile.username}-data.zip`);
+
+    const archive = archiver('zip');
+    archive.on('warning', (err) => console.log('Export warning:', err));
+    archive.on('error', (err) => {
+      console.error('Export error:', err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    archive.append(JSON.stringify({ exported_at: new Date().toISOString(), ...data }, null, 2), { name: 'data.json' });
+    for (const file of files) {
+      try {
+        archive.append(await fileStorage.read(file), { name: `media/${path.basename(file)}` });
+      } catch (err) {
+        console.log('Export skipped missing file:', file);
+      }
+    }
+    archive.finalize();
+  }
+});
+
+// ==================== ACCESS TOKEN APIs ====================
+
+// List own tokens; the token itself is only shown once, when created
+app.get('/api/tokens', requireSessionLogin, (req, res) => {
+  db.all(
+    'SELECT id, name, scopes, last_used_at, created_at FROM api_tokens WHERE user_id = ? ORDER BY id DESC',
+    [req.session.userId],
+    (err, tokens) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json(tokens.map(token => ({ ...token, scopes: token.scopes.split(',') })));
+    }
+  );
+});
+
+app.post('/api/tokens', requireSessionLogin, (req, res) => {
+  const name = (req.body.name || '').trim();
+  const scopes = [...new Set([].concat(req.body.scopes || []))];
+
+  if (!name) return res.status(400).json({ error: 'Token name required' });
+  if (scopes.length === 0 || !scopes.every(scope => TOKEN_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `Scopes must be some of: ${TOKEN_SCOPES.join(', ')}` });
+  }
+  if (scopes.includes('admin') && !req.session.isAdmin) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const token = 'pat_' + crypto.randomBytes(32).toString('hex');
+  db.run(
+    'INSERT INTO api_tokens (user_id, name, token_hash, scopes) VALUES (?, ?, ?, ?)',
+    [req.session.userId, name, hashToken(token), scopes.join(',')],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.status(201).json({ id: this.lastID, name, scopes, token });
+    }
+  );
+});
+
+app.delete('/api/tokens/:id', requireSessionLogin, (req, res) => {
+  db.run(
+    'DELETE FROM api_tokens WHERE id = ? AND user_id = ?',
+    [req.params.id, req.session.userId],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (this.changes === 0) return res.status(404).json({ error: 'Token not found' });
+      res.json({ success: true });
+    }
+  );
+});
+
+// ==================== SESSION APIs ====================
+
+// Sessions are identified to clients by a hash of their id; the id itself
+// is as good as the cookie
+function sessionSummary(row, currentSid) {
+  return {
+    id: hashToken(row.sid),
+    current: row.sid === currentSid,
+    ip: row.ip,
+    user_agent: row.user_agent,
+    created_at: row.created_at,
+    last_seen_at: row.last_seen_at
+  };
+}
+
+function sendUserSessions(userId, currentSid, res) {
+  sessionStore.listUserSessions(userId, (err, rows) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json(rows.map(row => sessionSummary(row, currentSid)));
+  });
+}
+
+// Login attempts on an account, newest first (paginated like the feed)
+function sendLoginHistory(userId, query, res) {
+  const { before, limit } = parsePageParams(query);
+
+  db.all(
+    `SELECT id, ip, user_agent, success, failure_reason, created_at FROM login_events
+     WHERE user_id = ? AND id < ? ORDER BY id DESC LIMIT ?`,
+    [userId, before, limit + 1],
+    (err, events) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json(pageResponse(events, limit));
     }
   );
+}
+
+// Where the user is logged in
+app.get('/api/sessions', requireSessionLogin, (req, res) => {
+  sendUserSessions(req.session.userId, req.sessionID, res);
+});
+
+// End one session; this browser's own session ends with /logout
+app.delete('/api/sessions/:id', requireSessionLogin, (req, res) => {
+  sessionStore.listUserSessions(req.session.userId, (err, rows) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+
+    const row = rows.find(session => hashToken(session.sid) === req.params.id);
+    if (!row) return res.status(404).json({ error: 'Session not found' });
+    if (row.sid === req.sessionID) return res.status(400).json({ error: 'Use /logout to end the current session' });
+
+    sessionStore.destroy(row.sid, (err) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json({ success: true });
+    });
+  });
+});
+
+app.get('/api/account/logins', requireLogin, (req, res) => {
+  sendLoginHistory(req.session.userId, req.query, res);
+});
+
+// Sign out everywhere except this browser
+app.post('/api/sessions/logout-others', requireSessionLogin, (req, res) => {
+  sessionStore.destroyUserSessions(req.session.userId, req.sessionID, (err, count) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json({ success: true, loggedOut: count });
+  });
+});
+
+// ==================== PROFILE APIs ====================
+
+// Update profile details for the settings form and PUT /api/profile.
+// Calls back with (err, user) where user has the saved details.
+function updateProfile(userId, body, file, callback) {
+  const { username, name, bio, email } = body;
+  if (!username || !name) {
+    if (file) storedFiles(file.media).forEach(removeUploadedFile);
+    return callback(requestError(400, 'Username and name are required'));
+  }
+
+  let updateQuery = 'UPDATE users SET username = ?, name = ?';
+  let queryParams = [username.toLowerCase(), name];
+
+  // Absent fields keep the stored value; an empty one clears it
+  if (bio !== undefined) {
+    updateQuery += ', bio = ?';
+    queryParams.push(bio);
+  }
+  if (email !== undefined) {
+    updateQuery += ', email = ?';
+    queryParams.push(email ? email.trim().toLowerCase() : null);
+  }
+
+  if (file) {
+    updateQuery += ', profile_image = ?, profile_thumb = ?';
+    queryParams.push(file.media.url, file.media.variants.thumb);
+  }
+
+  updateQuery += ' WHERE id = ?';
+  queryParams.push(userId);
+
+  db.get('SELECT profile_image, profile_thumb FROM users WHERE id = ?', [userId], (err, previous) => {
+    if (err) {
+      if (file) storedFiles(file.media).forEach(removeUploadedFile);
+      return callback(err);
+    }
+
+    db.run(updateQuery, queryParams, function(err) {
+      if (err) {
+        if (file) storedFiles(file.media).forEach(removeUploadedFile);
+        if (err.code === 'SQLITE_CONSTRAINT') return callback(requestError(409, 'Username hore u jiray'));
+        return callback(err);
+      }
+
+      // The replaced picture is no longer shown anywhere
+      if (file && previous) {
+        removeUploadedFile(previous.profile_image);
+        removeUploadedFile(previous.profile_thumb);
+      }
+
+      db.get(
+        'SELECT id, username, name, email, bio, profile_image, profile_thumb FROM users WHERE id = ?',
+        [userId],
+        callback
+      );
+    });
+  });
+}
+
+app.post('/update-profile', requireLogin, upload.single('profileImage'), (req, res) => {
+  updateProfile(req.session.userId, req.body, req.file, (err, user) => {
+    if (err) {
+      if (err.status) return res.send(err.message);
+      return res.status(500).send('Server error');
+    }
+
+    req.session.username = user.username;
+    res.redirect('/settings.html');
+  });
+});
+
+app.put('/api/profile', requireLogin, upload.single('profileImage'), (req, res) => {
+  updateProfile(req.session.userId, req.body, req.file, (err, user) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Database error' });
+
+    req.session.username = user.username;
+    res.json({ success: true, user });
+  });
+});
+
+// Change password for the settings form and PUT /api/account/password
+function updatePassword(userId, currentPassword, newPassword, callback) {
+  if (!currentPassword || !newPassword) return callback(requestError(400, 'Both passwords are required'));
+
+  db.get('SELECT password FROM users WHERE id = ?', [userId], async (err, user) => {
+    if (err) return callback(err);
+
+    try {
+      const validPassword = await bcrypt.compare(currentPassword, user.password);
+      if (!validPassword) return callback(requestError(403, 'Password-ka hadda waa khalad'));
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      db.run('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId], (err) => callback(err));
+    } catch (error) {
+      callback(error);
+    }
+  });
+}
+
+app.post('/update-password', requireLogin, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  updatePassword(req.session.userId, currentPassword, newPassword, (err) => {
+    if (err) {
+      if (err.status) return res.send(err.message);
+      return res.status(500).send('Server error');
+    }
+    res.redirect('/settings.html?message=password_updated');
+  });
+});
+
+app.put('/api/account/password', requireSessionLogin, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  updatePassword(req.session.userId, currentPassword, newPassword, (err) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Database error' });
+    res.json({ success: true });
+  });
 });
 
 // Get user profile
 app.get('/api/profile/:username', requireLogin, (req, res) => {
   const username = req.params.username;
+  const currentUserId = req.session.userId;
 
   const query = `
     SELECT u.*, 
            (SELECT COUNT(*) FROM posts WHERE user_id = u.id) as post_count,
-           (SELECT COUNT(*) FROM likes l JOIN posts p ON l.post_id = p.id WHERE p.user_id = u.id) as like_count
+           (SELECT COUNT(*) FROM likes l JOIN posts p ON l.post_id = p.id WHERE p.user_id = u.id) as like_count,
+           (SELECT COUNT(*) FROM follows WHERE following_id = u.id) as follower_count,
+           (SELECT COUNT(*) FROM follows WHERE follower_id = u.id) as following_count,
+           EXISTS(SELECT 1 FROM follows WHERE follower_id = ? AND following_id = u.id) as is_following,
+           EXISTS(SELECT 1 FROM follows WHERE follower_id = u.id AND following_id = ?) as follows_you
     FROM users u
     WHERE u.username = ?
   `;
 
-  db.get(query, [username], (err, user) => {
+  db.get(query, [currentUserId, currentUserId, username], (err, user) => {
     if (err) return res.status(500).json({ error: 'Database error' });
     if (!user) return res.status(404).json({ error: 'User not found' });
     res.json(user);
@@ -365,20 +1385,63 @@ app.get('/api/profile/:username', requireLogin, (req, res) => {
 app.get('/api/profile/:username/posts', requireLogin, (req, res) => {
   const username = req.params.username;
   const currentUserId = req.session.userId;
+  const { before, limit } = parsePageParams(req.query);
 
   const query = `
-    SELECT p.*, 
-           (SELECT COUNT(*) FROM likes WHERE post_id = p.id) as like_count,
+    SELECT p.*, ${POST_REACTION_COLUMNS},
            (SELECT COUNT(*) FROM comments WHERE post_id = p.id) as comment_count
     FROM posts p
     JOIN users u ON p.user_id = u.id
-    WHERE u.username = ? AND (p.privacy = 'public' OR p.user_id = ?)
-    ORDER BY p.created_at DESC
+    WHERE u.username = ? AND ${POST_VISIBILITY} AND p.id < ?
+    ORDER BY p.id DESC
+    LIMIT ?
+  `;
+
+  const params = [currentUserId, username, currentUserId, currentUserId, currentUserId, before, limit + 1];
+
+  db.all(query, params, (err, posts) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    const page = pageResponse(parseReactions(posts), limit);
+    attachPostMedia(page.data, (err) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json(page);
+    });
+  });
+});
+
+// Get followers of a user
+app.get('/api/profile/:username/followers', requireLogin, (req, res) => {
+  const query = `
+    SELECT u.id, u.username, u.name, u.profile_image, f.created_at as followed_at,
+           EXISTS(SELECT 1 FROM follows WHERE follower_id = ? AND following_id = u.id) as is_following
+    FROM follows f
+    JOIN users u ON f.follower_id = u.id
+    JOIN users t ON f.following_id = t.id
+    WHERE t.username = ? AND u.is_blocked = 0
+    ORDER BY f.created_at DESC
+  `;
+
+  db.all(query, [req.session.userId, req.params.username], (err, users) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json(users);
+  });
+});
+
+// Get users a user is following
+app.get('/api/profile/:username/following', requireLogin, (req, res) => {
+  const query = `
+    SELECT u.id, u.username, u.name, u.profile_image, f.created_at as followed_at,
+           EXISTS(SELECT 1 FROM follows WHERE follower_id = ? AND following_id = u.id) as is_following
+    FROM follows f
+    JOIN users u ON f.following_id = u.id
+    JOIN users s ON f.follower_id = s.id
+    WHERE s.username = ? AND u.is_blocked = 0
+    ORDER BY f.created_at DESC
   `;
 
-  db.all(query, [username, currentUserId], (err, posts) => {
+  db.all(query, [req.session.userId, req.params.username], (err, users) => {
     if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(posts);
+    res.json(users);
   });
 });
 
@@ -387,50 +1450,119 @@ app.get('/api/profile/:username/posts', requireLogin, (req, res) => {
 // Get posts
 app.get('/api/posts', requireLogin, (req, res) => {
   const userId = req.session.userId;
+  const { before, limit } = parsePageParams(req.query);
 
   const query = `
-    SELECT p.*, u.username, u.profile_image, 
-           (SELECT COUNT(*) FROM likes WHERE post_id = p.id) as like_count,
+    SELECT p.*, u.username, u.profile_image, ${POST_REACTION_COLUMNS},
            (SELECT COUNT(*) FROM comments WHERE post_id = p.id) as comment_count,
            EXISTS(SELECT 1 FROM likes WHERE post_id = p.id AND user_id = ?) as user_liked
     FROM posts p
     JOIN users u ON p.user_id = u.id
-    WHERE p.privacy = 'public' OR p.user_id = ?
-    ORDER BY p.created_at DESC
+    WHERE ${POST_VISIBILITY} AND p.id < ?
+    ORDER BY p.id DESC
+    LIMIT ?
   `;
 
-  db.all(query, [userId, userId], (err, posts) => {
+  db.all(query, [userId, userId, userId, userId, userId, before, limit + 1], (err, posts) => {
     if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(posts);
+    const page = pageResponse(parseReactions(posts), limit);
+    attachPostMedia(page.data, (err) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json(page);
+    });
   });
 });
 
-// Create post
-app.post('/create-post', upload.fields([
+const POST_UPLOAD_FIELDS = [
+  { name: 'media', maxCount: MAX_POST_MEDIA },
   { name: 'image', maxCount: 1 },
   { name: 'video', maxCount: 1 },
   { name: 'audio', maxCount: 1 }
-]), requireLogin, (req, res) => {
-  const { content, privacy } = req.body;
-  const userId = req.session.userId;
+];
+
+// Create a post for the /create-post form and POST /api/posts. Attachments
+// come as an ordered 'media' album (with captions[i]/altTexts[i]) and/or the
+// older single image/video/audio fields. Calls back with (err, postId).
+function createPost(userId, body, files, callback) {
+  const { content } = body;
+  const privacy = body.privacy || 'public';
+  const captions = [].concat(body.captions || []);
+  const altTexts = [].concat(body.altTexts || []);
+
+  const attachments = (files.media || []).map((file, index) => ({
+    kind: mediaKind(file.media.mime),
+    media: file.media,
+    caption: captions[index] || null,
+    altText: altTexts[index] || null
+  }));
+  ['image', 'video', 'audio'].forEach(kind => {
+    (files[kind] || []).forEach(file => attachments.push({ kind, media: file.media, caption: null, altText: null }));
+  });
+
+  const rejected = (status, message) => {
+    attachments.forEach(item => storedFiles(item.media).forEach(removeUploadedFile));
+    callback(requestError(status, message));
+  };
+  if (attachments.length > MAX_POST_MEDIA) {
+    return rejected(400, `Ugu badnaan ${MAX_POST_MEDIA} file ayaa post la raacin karaa`);
+  }
+  if (!POST_PRIVACY.includes(privacy)) return rejected(400, 'Invalid privacy setting');
+  if (!(content || '').trim() && attachments.length === 0) return rejected(400, 'Post-ku waa madhan yahay');
 
-  const image = req.files?.image ? 'uploads/' + req.files.image[0].filename : null;
-  const video = req.files?.video ? 'uploads/' + req.files.video[0].filename : null;
-  const audio = req.files?.audio ? 'uploads/' + req.files.audio[0].filename : null;
+  // The single-media columns keep the first attachment of each kind
+  const first = (kind) => (attachments.find(item => item.kind === kind) || {}).media;
+  const image = first('image');
+  const video = first('video');
+  const audio = first('audio');
 
   db.run(
-    'INSERT INTO posts (user_id, content, image, video, audio, privacy) VALUES (?, ?, ?, ?, ?, ?)',
-    [userId, content, image, video, audio, privacy],
+    `INSERT INTO posts (user_id, content, image, image_large, image_thumb, video, video_poster, audio, privacy)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId, content,
+      image ? image.url : null, image ? image.variants.large : null, image ? image.variants.thumb : null,
+      video ? video.url : null, video ? video.variants.poster || null : null,
+      audio ? audio.url : null,
+      privacy
+    ],
     function(err) {
-      if (err) return res.status(500).send('Server error');
-      res.redirect('/');
+      if (err) return callback(err);
+      const postId = this.lastID;
+      saveTagsAndMentions({ postId, authorId: userId, content });
+
+      if (attachments.length === 0) return callback(null, postId);
+
+      db.run(
+        `INSERT INTO post_media (post_id, position, media_type, url, large_url, thumb_url, poster_url, caption, alt_text)
+         VALUES ${attachments.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        attachments.flatMap((item, position) => [
+          postId, position, item.kind, item.media.url,
+          item.media.variants.large || null, item.media.variants.thumb || null, item.media.variants.poster || null,
+          item.caption, item.altText
+        ]),
+        (err) => callback(err, postId)
+      );
     }
   );
+}
+
+app.post('/create-post', requireLogin, upload.fields(POST_UPLOAD_FIELDS), (req, res) => {
+  createPost(req.session.userId, req.body, req.files || {}, (err) => {
+    if (err) return res.status(err.status || 500).send(err.status ? err.message : 'Server error');
+    res.redirect('/');
+  });
+});
+
+app.post('/api/posts', requireLogin, upload.fields(POST_UPLOAD_FIELDS), (req, res) => {
+  createPost(req.session.userId, req.body, req.files || {}, (err, postId) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Database error' });
+    res.status(201).json({ success: true, postId });
+  });
 });
 
 // Like post
-app.post('/api/posts/:id/like', requireLogin, (req, res) => {
-  const postId = req.params.id;
+app.post('/api/posts/:id/like', requireLogin, requireVisiblePost, (req, res) => {
+  const postId = req.post.id;
   const userId = req.session.userId;
 
   db.get(
@@ -446,6 +1578,11 @@ app.post('/api/posts/:id/like', requireLogin, (req, res) => {
           [postId, userId],
           function(err) {
             if (err) return res.status(500).json({ error: 'Database error' });
+            // Drop the like notification if it has not been seen yet
+            db.run(
+              "DELETE FROM notifications WHERE type = 'like' AND post_id = ? AND actor_id = ? AND is_read = 0",
+              [postId, userId]
+            );
             res.json({ liked: false });
           }
         );
@@ -456,6 +1593,7 @@ app.post('/api/posts/:id/like', requireLogin, (req, res) => {
           [postId, userId],
           function(err) {
             if (err) return res.status(500).json({ error: 'Database error' });
+            notify(req.post.user_id, userId, 'like', { postId });
             res.json({ liked: true });
           }
         );
@@ -464,93 +1602,568 @@ app.post('/api/posts/:id/like', requireLogin, (req, res) => {
   );
 });
 
-// Add comment
-app.post('/api/posts/:id/comment', requireLogin, (req, res) => {
+// React to a post: the same reaction again removes it, another one replaces it
+app.post('/api/posts/:id/react', requireLogin, (req, res) => {
   const postId = req.params.id;
   const userId = req.session.userId;
-  const { content } = req.body;
+  const { reaction } = req.body;
 
-  db.run(
-    'INSERT INTO comments (post_id, user_id, content) VALUES (?, ?, ?)',
-    [postId, userId, content],
-    function(err) {
+  if (!REACTIONS.includes(reaction)) return res.status(400).json({ error: 'Invalid reaction' });
+
+  db.get(
+    `SELECT p.id, p.user_id,
+            (SELECT reaction FROM likes WHERE post_id = p.id AND user_id = ?) as current
+     FROM posts p WHERE p.id = ? AND ${POST_VISIBILITY}`,
+    [userId, postId, userId, userId, userId],
+    (err, post) => {
       if (err) return res.status(500).json({ error: 'Database error' });
-      res.json({ success: true, commentId: this.lastID });
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+
+      const removing = post.current === reaction;
+      const query = removing
+        ? 'DELETE FROM likes WHERE post_id = ? AND user_id = ?'
+        : `INSERT INTO likes (post_id, user_id, reaction) VALUES (?, ?, ?)
+           ON CONFLICT(post_id, user_id) DO UPDATE SET reaction = excluded.reaction`;
+      const params = removing ? [post.id, userId] : [post.id, userId, reaction];
+
+      db.run(query, params, (err) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        if (!post.current) notify(post.user_id, userId, 'like', { postId: post.id });
+        if (removing) {
+          db.run(
+            "DELETE FROM notifications WHERE type = 'like' AND post_id = ? AND actor_id = ? AND is_read = 0",
+            [post.id, userId]
+          );
+        }
+
+        db.all(
+          'SELECT reaction, COUNT(*) as total FROM likes WHERE post_id = ? GROUP BY reaction',
+          [post.id],
+          (err, rows) => {
+            if (err) return res.status(500).json({ error: 'Database error' });
+            const reactions = {};
+            rows.forEach(row => { reactions[row.reaction] = row.total; });
+            res.json({
+              user_reaction: removing ? null : reaction,
+              reactions,
+              like_count: rows.reduce((sum, row) => sum + row.total, 0)
+            });
+          }
+        );
+      });
     }
   );
 });
 
-// Get comments
-app.get('/api/posts/:id/comments', requireLogin, (req, res) => {
-  const postId = req.params.id;
+// Who reacted to a post; ?type=love narrows it to one reaction
+app.get('/api/posts/:id/reactions', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+  const { type } = req.query;
+  const { before, limit } = parsePageParams(req.query);
 
-  const query = `
-    SELECT c.*, u.username, u.profile_image
-    FROM comments c
-    JOIN users u ON c.user_id = u.id
-    WHERE c.post_id = ?
-    ORDER BY c.created_at ASC
-  `;
+  if (type && !REACTIONS.includes(type)) return res.status(400).json({ error: 'Invalid reaction' });
 
-  db.all(query, [postId], (err, comments) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(comments);
-  });
+  db.get(
+    `SELECT p.id FROM posts p WHERE p.id = ? AND ${POST_VISIBILITY}`,
+    [req.params.id, userId, userId, userId],
+    (err, post) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+
+      const query = `
+        SELECT l.id, l.reaction, l.created_at, u.id as user_id, u.username, u.name, u.profile_image
+        FROM likes l
+        JOIN users u ON l.user_id = u.id
+        WHERE l.post_id = ? AND l.id < ? ${type ? 'AND l.reaction = ?' : ''}
+        ORDER BY l.id DESC
+        LIMIT ?
+      `;
+      const params = [post.id, before].concat(type ? [type] : [], limit + 1);
+
+      db.all(query, params, (err, reactions) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        res.json(pageResponse(reactions, limit));
+      });
+    }
+  );
 });
 
-// ==================== USER MANAGEMENT APIs ====================
+// Add comment
+app.post('/api/posts/:id/comment', requireLogin, rateLimit.comment, requireVisiblePost, (req, res) => {
+  const postId = req.post.id;
+  const userId = req.session.userId;
+  const { content, parentId } = req.body;
 
-// Get all users
-app.get('/api/users', requireLogin, (req, res) => {
-  const query = `
-    SELECT id, username, name, profile_image, created_at,
-           (SELECT COUNT(*) FROM posts WHERE user_id = users.id) as post_count
-    FROM users 
-    WHERE is_blocked = 0 AND id != ?
-    ORDER BY created_at DESC
-  `;
+  const insertComment = () => {
+    db.run(
+      'INSERT INTO comments (post_id, user_id, content, parent_id) VALUES (?, ?, ?, ?)',
+      [postId, userId, content, parentId || null],
+      function(err) {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        saveTagsAndMentions({ postId, commentId: this.lastID, authorId: userId, content });
+        notify(req.post.user_id, userId, 'comment', { postId });
+        res.json({ success: true, commentId: this.lastID });
+      }
+    );
+  };
+
+  if (!parentId) return insertComment();
 
-  db.all(query, [req.session.userId], (err, users) => {
+  // Replies must stay on the same post as the comment they answer
+  db.get('SELECT id FROM comments WHERE id = ? AND post_id = ?', [parentId, postId], (err, parent) => {
     if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(users);
+    if (!parent) return res.status(404).json({ error: 'Parent comment not found' });
+    insertComment();
   });
 });
 
-// Search users
-app.get('/api/users/search', requireLogin, (req, res) => {
-  const searchTerm = req.query.q;
-  
-  const query = `
-    SELECT id, username, name, profile_image
-    FROM users 
-    WHERE (username LIKE ? OR name LIKE ?) AND is_blocked = 0 AND id != ?
-    LIMIT 10
-  `;
+// Like or unlike a comment
+app.post('/api/comments/:id/like', requireLogin, (req, res) => {
+  const commentId = req.params.id;
+  const userId = req.session.userId;
 
-  db.all(query, [`%${searchTerm}%`, `%${searchTerm}%`, req.session.userId], (err, users) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(users);
-  });
+  db.get(
+    `SELECT c.id, EXISTS(SELECT 1 FROM comment_likes WHERE comment_id = c.id AND user_id = ?) as liked
+     FROM comments c
+     JOIN posts p ON c.post_id = p.id
+     WHERE c.id = ? AND ${POST_VISIBILITY}`,
+    [userId, commentId, userId, userId, userId],
+    (err, comment) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+      const query = comment.liked
+        ? 'DELETE FROM comment_likes WHERE comment_id = ? AND user_id = ?'
+        : 'INSERT INTO comment_likes (comment_id, user_id) VALUES (?, ?)';
+
+      db.run(query, [commentId, userId], (err) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+
+        db.get('SELECT COUNT(*) as count FROM comment_likes WHERE comment_id = ?', [commentId], (err, row) => {
+          if (err) return res.status(500).json({ error: 'Database error' });
+          res.json({ liked: !comment.liked, like_count: row.count });
+        });
+      });
+    }
+  );
 });
 
-// ==================== CHAT APIs ====================
+// Get comments
+app.get('/api/posts/:id/comments', requireLogin, requireVisiblePost, (req, res) => {
+  const postId = req.post.id;
+  const { before, limit } = parsePageParams(req.query);
 
-// Get user chats
-app.get('/api/chats', requireLogin, (req, res) => {
   const userId = req.session.userId;
+  const columns = `
+    c.*, u.username, u.profile_image,
+    (SELECT COUNT(*) FROM comment_likes WHERE comment_id = c.id) as like_count,
+    EXISTS(SELECT 1 FROM comment_likes WHERE comment_id = c.id AND user_id = ?) as user_liked
+  `;
 
+  // Pages are made of top-level comments: newest page first, returned
+  // oldest-to-newest; next_cursor loads older threads
   const query = `
-    SELECT c.*, 
-           CASE 
-             WHEN c.user1_id = ? THEN u2.username 
-             ELSE u1.username 
-           END as other_username,
+    SELECT ${columns}
+    FROM comments c
+    JOIN users u ON c.user_id = u.id
+    WHERE c.post_id = ? AND c.parent_id IS NULL AND c.id < ?
+    ORDER BY c.id DESC
+    LIMIT ?
+  `;
+
+  db.all(query, [userId, postId, before, limit + 1], (err, comments) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    const page = pageResponse(comments, limit);
+    page.data.reverse();
+
+    const rootIds = page.data.map(comment => comment.id);
+    if (rootIds.length === 0) return res.json(page);
+
+    // Every reply below the page's threads, at any depth
+    const repliesQuery = `
+      WITH RECURSIVE thread(id) AS (
+        SELECT id FROM comments WHERE parent_id IN (${rootIds.map(() => '?').join(', ')})
+        UNION ALL SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+      )
+      SELECT ${columns}
+      FROM comments c
+      JOIN users u ON c.user_id = u.id
+      WHERE c.id IN thread
+      ORDER BY c.id
+    `;
+
+    db.all(repliesQuery, [...rootIds, userId], (err, replies) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+
+      const byId = new Map();
+      page.data.concat(replies).forEach(comment => {
+        comment.replies = [];
+        byId.set(comment.id, comment);
+      });
+      replies.forEach(reply => byId.get(reply.parent_id).replies.push(reply));
+      byId.forEach(comment => { comment.reply_count = comment.replies.length; });
+
+      res.json(page);
+    });
+  });
+});
+
+// Edit post
+app.put('/api/posts/:id', requireLogin, (req, res) => {
+  const { content, privacy } = req.body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ error: 'Content required' });
+  }
+  if (privacy !== undefined && !POST_PRIVACY.includes(privacy)) {
+    return res.status(400).json({ error: 'Invalid privacy' });
+  }
+
+  db.get('SELECT * FROM posts WHERE id = ?', [req.params.id], (err, post) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!post) return res.status(404).json({ error: 'Post not found' });
+    if (!canModify(req, post.user_id)) return res.status(403).json({ error: 'Not allowed' });
+
+    db.get(
+      'UPDATE posts SET content = ?, privacy = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *',
+      [content.trim(), privacy || post.privacy, post.id],
+      (err, updated) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        saveTagsAndMentions({ postId: updated.id, authorId: updated.user_id, content: updated.content });
+        res.json(updated);
+      }
+    );
+  });
+});
+
+// Delete post
+app.delete('/api/posts/:id', requireLogin, (req, res) => {
+  db.get('SELECT user_id FROM posts WHERE id = ?', [req.params.id], (err, post) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!post) return res.status(404).json({ error: 'Post not found' });
+    if (!canModify(req, post.user_id)) return res.status(403).json({ error: 'Not allowed' });
+
+    deletePost(req.params.id, (err) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json({ success: true });
+    });
+  });
+});
+
+// Edit comment
+app.put('/api/comments/:id', requireLogin, (req, res) => {
+  const { content } = req.body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ error: 'Content required' });
+  }
+
+  db.get('SELECT * FROM comments WHERE id = ?', [req.params.id], (err, comment) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    if (!canModify(req, comment.user_id)) return res.status(403).json({ error: 'Not allowed' });
+
+    db.get(
+      'UPDATE comments SET content = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *',
+      [content.trim(), comment.id],
+      (err, updated) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        saveTagsAndMentions({
+          postId: updated.post_id,
+          commentId: updated.id,
+          authorId: updated.user_id,
+          content: updated.content
+        });
+        res.json(updated);
+      }
+    );
+  });
+});
+
+// Delete comment
+app.delete('/api/comments/:id', requireLogin, (req, res) => {
+  db.get('SELECT user_id FROM comments WHERE id = ?', [req.params.id], (err, comment) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    if (!canModify(req, comment.user_id)) return res.status(403).json({ error: 'Not allowed' });
+
+    deleteComment(req.params.id, (err) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json({ success: true });
+    });
+  });
+});
+
+// ==================== SEARCH APIs ====================
+
+const SEARCH_TYPES = ['posts', 'comments', 'users'];
+
+// Snippet markers; replaced by <mark> once the text has been escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+function highlightSnippet(text) {
+  return (text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(new RegExp(MATCH_START, 'g'), '<mark>')
+    .replace(new RegExp(MATCH_END, 'g'), '</mark>');
+}
+
+// Turn a search box string into an FTS5 query. Words are prefix-matched and
+// all of them must appear; #tag and @name terms must also appear with their
+// sign in the text, which the word index alone cannot tell.
+function parseSearchQuery(q) {
+  const terms = (q.match(/[#@]?[\p{L}\p{N}_]+/gu) || []).slice(0, 10).map(token => {
+    const sign = /^[#@]/.test(token) ? token[0] : '';
+    return { sign, word: token.slice(sign.length).toLowerCase() };
+  });
+
+  return {
+    match: terms.map(term => `"${term.word}"*`).join(' '),
+    tagged: terms.filter(term => term.sign).map(term => `%${term.sign}${term.word.replace(/_/g, '\\_')}%`),
+    mentions: terms.filter(term => term.sign === '@').map(term => term.word)
+  };
+}
+
+// Ranked search over posts, comments and people: /api/search?q=&type=&limit=
+app.get('/api/search', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+  const q = (req.query.q || '').trim();
+  const { limit } = parsePageParams({ limit: req.query.limit || 10 });
+  const types = SEARCH_TYPES.includes(req.query.type) ? [req.query.type] : SEARCH_TYPES;
+
+  const search = parseSearchQuery(q);
+  if (!search.match) return res.status(400).json({ error: 'Search query required' });
+
+  const taggedFilter = (column) => search.tagged.map(() => ` AND ${column} LIKE ? ESCAPE '\\'`).join('');
+
+  const queries = {
+    posts: [`
+      SELECT p.id, p.user_id, p.privacy, p.created_at, u.username, u.profile_image,
+             snippet(posts_fts, 0, ?, ?, '…', 16) as snippet
+      FROM posts_fts
+      JOIN posts p ON p.id = posts_fts.rowid
+      JOIN users u ON p.user_id = u.id
+      WHERE posts_fts MATCH ? AND ${POST_VISIBILITY}${taggedFilter('p.content')}
+      ORDER BY bm25(posts_fts)
+      LIMIT ?
+    `, [MATCH_START, MATCH_END, search.match, userId, userId, userId, ...search.tagged, limit]],
+
+    // Only comments on posts the viewer is allowed to see
+    comments: [`
+      SELECT c.id, c.post_id, c.user_id, c.created_at, u.username, u.profile_image,
+             snippet(comments_fts, 0, ?, ?, '…', 16) as snippet
+      FROM comments_fts
+      JOIN comments c ON c.id = comments_fts.rowid
+      JOIN posts p ON c.post_id = p.id
+      JOIN users u ON c.user_id = u.id
+      WHERE comments_fts MATCH ? AND ${POST_VISIBILITY}${taggedFilter('c.content')}
+      ORDER BY bm25(comments_fts)
+      LIMIT ?
+    `, [MATCH_START, MATCH_END, search.match, userId, userId, userId, ...search.tagged, limit]],
+
+    // Usernames weigh most, then names, then bios; @name only looks at usernames
+    users: [`
+      SELECT u.id, u.username, u.name, u.profile_image,
+             highlight(users_fts, 0, ?, ?) as username_highlight,
+             highlight(users_fts, 1, ?, ?) as name_highlight,
+             snippet(users_fts, 2, ?, ?, '…', 16) as snippet
+      FROM users_fts
+      JOIN users u ON u.id = users_fts.rowid
+      WHERE users_fts MATCH ? AND u.is_blocked = 0
+      ORDER BY bm25(users_fts, 10.0, 5.0, 1.0)
+      LIMIT ?
+    `, [
+      MATCH_START, MATCH_END, MATCH_START, MATCH_END, MATCH_START, MATCH_END,
+      search.mentions.length
+        ? search.mentions.map(word => `username : "${word}"*`).join(' ')
+        : search.match,
+      limit
+    ]]
+  };
+
+  const results = { query: q };
+
+  const runNext = (index) => {
+    if (index === types.length) return res.json(results);
+
+    const type = types[index];
+    const [query, params] = queries[type];
+
+    db.all(query, params, (err, rows) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+
+      rows.forEach(row => {
+        ['snippet', 'username_highlight', 'name_highlight'].forEach(field => {
+          if (field in row) row[field] = highlightSnippet(row[field]);
+        });
+      });
+      results[type] = rows;
+      runNext(index + 1);
+    });
+  };
+
+  runNext(0);
+});
+
+// ==================== HASHTAG APIs ====================
+
+// Most used hashtags in public posts and their comments: ?hours=24&limit=10
+app.get('/api/hashtags/trending', requireLogin, (req, res) => {
+  const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 24 * 30);
+  const { limit } = parsePageParams({ limit: req.query.limit || 10 });
+
+  const query = `
+    SELECT h.tag, COUNT(*) as use_count, COUNT(DISTINCT hu.post_id) as post_count
+    FROM hashtag_uses hu
+    JOIN hashtags h ON hu.hashtag_id = h.id
+    JOIN posts p ON hu.post_id = p.id
+    WHERE p.privacy = 'public' AND hu.created_at >= datetime('now', ?)
+    GROUP BY h.id
+    ORDER BY use_count DESC, MAX(hu.id) DESC
+    LIMIT ?
+  `;
+
+  db.all(query, [`-${hours} hours`, limit], (err, hashtags) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json({ hours, data: hashtags });
+  });
+});
+
+// Posts tagged with a hashtag, newest first
+app.get('/api/hashtags/:tag/posts', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+  const tag = req.params.tag.replace(/^#/, '').toLowerCase();
+  const { before, limit } = parsePageParams(req.query);
+
+  const query = `
+    SELECT p.*, u.username, u.profile_image, ${POST_REACTION_COLUMNS},
+           (SELECT COUNT(*) FROM comments WHERE post_id = p.id) as comment_count,
+           EXISTS(SELECT 1 FROM likes WHERE post_id = p.id AND user_id = ?) as user_liked
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    WHERE EXISTS(
+      SELECT 1 FROM hashtag_uses hu JOIN hashtags h ON hu.hashtag_id = h.id
+      WHERE hu.post_id = p.id AND hu.comment_id IS NULL AND h.tag = ?
+    ) AND ${POST_VISIBILITY} AND p.id < ?
+    ORDER BY p.id DESC
+    LIMIT ?
+  `;
+
+  db.all(query, [userId, userId, tag, userId, userId, userId, before, limit + 1], (err, posts) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    const page = pageResponse(parseReactions(posts), limit);
+    attachPostMedia(page.data, (err) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json({ tag, ...page });
+    });
+  });
+});
+
+// ==================== USER MANAGEMENT APIs ====================
+
+// Get all users
+app.get('/api/users', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+  const { before, limit } = parsePageParams(req.query);
+
+  const query = `
+    SELECT id, username, name, bio, profile_image, created_at,
+           (SELECT COUNT(*) FROM posts WHERE user_id = users.id) as post_count,
+           (SELECT COUNT(*) FROM follows WHERE following_id = users.id) as follower_count,
+           EXISTS(SELECT 1 FROM follows WHERE follower_id = ? AND following_id = users.id) as is_following
+    FROM users 
+    WHERE is_blocked = 0 AND id != ? AND id < ?
+    ORDER BY id DESC
+    LIMIT ?
+  `;
+
+  db.all(query, [userId, userId, before, limit + 1], (err, users) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json(pageResponse(users, limit));
+  });
+});
+
+// Search users
+app.get('/api/users/search', requireLogin, (req, res) => {
+  const searchTerm = req.query.q;
+  
+  const query = `
+    SELECT id, username, name, profile_image
+    FROM users 
+    WHERE (username LIKE ? OR name LIKE ?) AND is_blocked = 0 AND id != ?
+    LIMIT 10
+  `;
+
+  db.all(query, [`%${searchTerm}%`, `%${searchTerm}%`, req.session.userId], (err, users) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json(users);
+  });
+});
+
+// Follow user
+app.post('/api/users/:id/follow', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+  const targetId = parseInt(req.params.id, 10);
+
+  if (targetId === userId) {
+    return res.status(400).json({ error: 'You cannot follow yourself' });
+  }
+
+  db.get('SELECT id FROM users WHERE id = ? AND is_blocked = 0', [targetId], (err, user) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    db.run(
+      'INSERT OR IGNORE INTO follows (follower_id, following_id) VALUES (?, ?)',
+      [userId, targetId],
+      function(err) {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        res.json({ following: true });
+      }
+    );
+  });
+});
+
+// Unfollow user
+app.delete('/api/users/:id/follow', requireLogin, (req, res) => {
+  db.run(
+    'DELETE FROM follows WHERE follower_id = ? AND following_id = ?',
+    [req.session.userId, req.params.id],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json({ following: false });
+    }
+  );
+});
+
+// ==================== CHAT APIs ====================
+
+// Get user chats
+app.get('/api/chats', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+
+  const query = `
+    SELECT c.*, 
+           CASE WHEN c.user1_id = ? THEN u2.id ELSE u1.id END as other_user_id,
+           CASE 
+             WHEN c.user1_id = ? THEN u2.username 
+             ELSE u1.username 
+           END as other_username,
+           CASE WHEN c.user1_id = ? THEN u2.name ELSE u1.name END as other_name,
            CASE 
              WHEN c.user1_id = ? THEN u2.profile_image 
              ELSE u1.profile_image 
            END as other_profile_image,
            (SELECT content FROM messages WHERE chat_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message,
-           (SELECT created_at FROM messages WHERE chat_id = c.id ORDER BY created_at DESC LIMIT 1) as last_activity
+           (SELECT created_at FROM messages WHERE chat_id = c.id ORDER BY created_at DESC LIMIT 1) as last_activity,
+           (SELECT COUNT(*) FROM messages m
+            WHERE m.chat_id = c.id AND m.sender_id != ?
+              AND m.id > COALESCE((SELECT last_read_message_id FROM chat_reads WHERE chat_id = c.id AND user_id = ?), 0)
+           ) as unread_count
     FROM chats c
     JOIN users u1 ON c.user1_id = u1.id
     JOIN users u2 ON c.user2_id = u2.id
@@ -558,163 +2171,901 @@ app.get('/api/chats', requireLogin, (req, res) => {
     ORDER BY last_activity DESC
   `;
 
-  db.all(query, [userId, userId, userId, userId], (err, chats) => {
+  db.all(query, [userId, userId, userId, userId, userId, userId, userId, userId], (err, chats) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json(chats);
+  });
+});
+
+// Get chat messages
+app.get('/api/chats/:id/messages', requireLogin, (req, res) => {
+  const chatId = req.params.id;
+  const userId = req.session.userId;
+  const { before, limit } = parsePageParams(req.query);
+
+  // Check if user has access to this chat
+  findChatForUser(chatId, userId, (err, chat) => {
+    if (err || !chat) return res.status(403).json({ error: 'Access denied' });
+
+    // Newest page first, returned oldest-to-newest; next_cursor loads older messages.
+    // A message is seen once the participant who did not send it has read up to it
+    const query = `
+      SELECT m.*, u.username, u.profile_image,
+             m.id <= COALESCE(
+               (SELECT last_read_message_id FROM chat_reads WHERE chat_id = m.chat_id AND user_id != m.sender_id), 0
+             ) as seen
+      FROM messages m
+      JOIN users u ON m.sender_id = u.id
+      WHERE m.chat_id = ? AND m.id < ?
+      ORDER BY m.id DESC
+      LIMIT ?
+    `;
+
+    db.all(query, [chatId, before, limit + 1], (err, messages) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      const page = pageResponse(messages, limit);
+      page.data.reverse();
+      signMessageFiles(page.data)
+        .then(() => res.json(page))
+        .catch(() => res.status(500).json({ error: 'Storage error' }));
+    });
+  });
+});
+
+// Send message
+// Access is checked before the upload so outsiders can't store files
+app.post('/api/chats/:id/messages', requireLogin, rateLimit.message, requireChatAccess, upload.single('file', { private: true }), (req, res) => {
+  const chat = req.chat;
+  const userId = req.session.userId;
+  const { content } = req.body;
+
+  const media = req.file ? req.file.media : null;
+  const messageType = media ? 'file' : 'text';
+  const fileUrl = media ? media.url : null;
+  const fileThumb = media ? media.variants.thumb || media.variants.poster || null : null;
+
+  db.run(
+    'INSERT INTO messages (chat_id, sender_id, content, message_type, file_url, file_thumb) VALUES (?, ?, ?, ?, ?, ?)',
+    [chat.id, userId, content, messageType, fileUrl, fileThumb],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      const messageId = this.lastID;
+      res.json({ success: true, messageId });
+      pushNewMessage(chat, messageId);
+    }
+  );
+});
+
+// Mark chat as read up to a message (defaults to the latest message)
+app.post('/api/chats/:id/read', requireLogin, (req, res) => {
+  const chatId = req.params.id;
+  const userId = req.session.userId;
+  const upToId = req.body.messageId ? parseInt(req.body.messageId, 10) : Number.MAX_SAFE_INTEGER;
+
+  findChatForUser(chatId, userId, (err, chat) => {
+    if (err || !chat) return res.status(403).json({ error: 'Access denied' });
+
+    db.get(
+      'SELECT MAX(id) as max_id FROM messages WHERE chat_id = ? AND id <= ?',
+      [chatId, upToId],
+      (err, row) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+
+        const lastReadId = row.max_id || 0;
+
+        // Markers only move forward, so an older client can't un-read messages
+        db.get(
+          `INSERT INTO chat_reads (chat_id, user_id, last_read_message_id) VALUES (?, ?, ?)
+           ON CONFLICT(chat_id, user_id) DO UPDATE SET
+             last_read_message_id = MAX(last_read_message_id, excluded.last_read_message_id),
+             read_at = CURRENT_TIMESTAMP
+           RETURNING last_read_message_id`,
+          [chat.id, userId, lastReadId],
+          (err, marker) => {
+            if (err) return res.status(500).json({ error: 'Database error' });
+            res.json({ success: true, lastReadMessageId: marker.last_read_message_id });
+            sendToUser(otherParticipant(chat, userId), {
+              type: 'read',
+              chatId: chat.id,
+              userId,
+              lastReadMessageId: marker.last_read_message_id
+            });
+          }
+        );
+      }
+    );
+  });
+});
+
+// Create or get chat
+app.post('/api/chats', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+  const otherUserId = Number(req.body.otherUserId);
+
+  if (otherUserId === userId) return res.status(400).json({ error: 'Cannot start a chat with yourself' });
+
+  db.get('SELECT id FROM users WHERE id = ? AND is_blocked = 0', [otherUserId], (err, otherUser) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!otherUser) return res.status(404).json({ error: 'User not found' });
+
+    // Check if chat already exists
+    db.get(
+      'SELECT * FROM chats WHERE (user1_id = ? AND user2_id = ?) OR (user1_id = ? AND user2_id = ?)',
+      [userId, otherUserId, otherUserId, userId],
+      (err, existingChat) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+
+        if (existingChat) {
+          return res.json(existingChat);
+        }
+
+        // Create new chat
+        db.run(
+          'INSERT INTO chats (user1_id, user2_id) VALUES (?, ?)',
+          [userId, otherUserId],
+          function(err) {
+            if (err) return res.status(500).json({ error: 'Database error' });
+            notify(otherUserId, userId, 'chat', { chatId: this.lastID });
+            res.json({ id: this.lastID, user1_id: userId, user2_id: otherUserId });
+          }
+        );
+      }
+    );
+  });
+});
+
+// ==================== REPORT APIs ====================
+
+// What can be reported, where it lives and which column holds its author
+const REPORT_TARGETS = {
+  post: { table: 'posts', authorColumn: 'user_id' },
+  comment: { table: 'comments', authorColumn: 'user_id' },
+  message: { table: 'messages', authorColumn: 'sender_id' },
+  user: { table: 'users', authorColumn: 'id' }
+};
+
+// Report content
+app.post('/api/reports', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+  const { targetType, targetId, reason } = req.body;
+  const target = REPORT_TARGETS[targetType];
+
+  if (!target) return res.status(400).json({ error: 'Invalid report type' });
+  if (!reason || !reason.trim()) return res.status(400).json({ error: 'Reason required' });
+
+  db.get(`SELECT * FROM ${target.table} WHERE id = ?`, [targetId], (err, row) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!row) return res.status(404).json({ error: 'Content not found' });
+
+    const saveReport = () => {
+      db.get(
+        `SELECT id FROM reports
+         WHERE reporter_id = ? AND target_type = ? AND target_id = ? AND status = 'pending'`,
+        [userId, targetType, row.id],
+        (err, existing) => {
+          if (err) return res.status(500).json({ error: 'Database error' });
+          if (existing) return res.json({ success: true, reportId: existing.id });
+
+          db.run(
+            'INSERT INTO reports (reporter_id, target_type, target_id, reason) VALUES (?, ?, ?, ?)',
+            [userId, targetType, row.id, reason.trim()],
+            function(err) {
+              if (err) return res.status(500).json({ error: 'Database error' });
+              res.json({ success: true, reportId: this.lastID });
+            }
+          );
+        }
+      );
+    };
+
+    // Messages can only be reported by someone who could read them
+    if (targetType === 'message') {
+      return findChatForUser(row.chat_id, userId, (err, chat) => {
+        if (err || !chat) return res.status(403).json({ error: 'Access denied' });
+        saveReport();
+      });
+    }
+
+    // Posts and comments only if their post is visible; hidden ones look missing
+    if (targetType === 'post' || targetType === 'comment') {
+      return db.get(
+        `SELECT p.id FROM posts p WHERE p.id = ? AND ${POST_VISIBILITY}`,
+        [targetType === 'post' ? row.id : row.post_id, userId, userId, userId],
+        (err, post) => {
+          if (err) return res.status(500).json({ error: 'Database error' });
+          if (!post) return res.status(404).json({ error: 'Content not found' });
+          saveReport();
+        }
+      );
+    }
+
+    saveReport();
+  });
+});
+
+// ==================== INBOX APIs ====================
+
+// Admin messages addressed to the user: broadcasts, their group, or them directly.
+// Takes the user id twice as query params.
+const ADMIN_MESSAGE_AUDIENCE = `(
+  m.recipient = 'all'
+  OR (m.recipient = 'user' AND m.recipient_user_id = ?)
+  OR (m.recipient IN ('admins', 'blocked') AND EXISTS(
+    SELECT 1 FROM users WHERE id = ? AND (
+      (m.recipient = 'admins' AND is_admin = 1) OR (m.recipient = 'blocked' AND is_blocked = 1)
+    )
+  ))
+)`;
+
+// Get admin messages for the current user; ?unread=1 for banner use
+app.get('/api/inbox', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+  const unreadOnly = req.query.unread === '1' || req.query.unread === 'true';
+  const { before, limit } = parsePageParams(req.query);
+
+  const query = `
+    SELECT m.id, m.message_type, m.content, m.created_at,
+           EXISTS(SELECT 1 FROM admin_message_reads WHERE message_id = m.id AND user_id = ?) as is_read
+    FROM admin_messages m
+    WHERE ${ADMIN_MESSAGE_AUDIENCE} AND m.id < ?
+      ${unreadOnly ? 'AND is_read = 0' : ''}
+    ORDER BY m.id DESC
+    LIMIT ?
+  `;
+
+  db.all(query, [userId, userId, userId, before, limit + 1], (err, messages) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+
+    db.get(
+      `SELECT COUNT(*) as count FROM admin_messages m
+       WHERE ${ADMIN_MESSAGE_AUDIENCE}
+         AND NOT EXISTS(SELECT 1 FROM admin_message_reads WHERE message_id = m.id AND user_id = ?)`,
+      [userId, userId, userId],
+      (err, row) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        res.json({ ...pageResponse(messages, limit), unread_count: row.count });
+      }
+    );
+  });
+});
+
+// Mark admin message as read
+app.post('/api/inbox/:id/read', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+
+  db.get(
+    `SELECT m.id FROM admin_messages m WHERE m.id = ? AND ${ADMIN_MESSAGE_AUDIENCE}`,
+    [req.params.id, userId, userId],
+    (err, message) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!message) return res.status(404).json({ error: 'Message not found' });
+
+      db.run(
+        'INSERT OR IGNORE INTO admin_message_reads (message_id, user_id) VALUES (?, ?)',
+        [message.id, userId],
+        function(err) {
+          if (err) return res.status(500).json({ error: 'Database error' });
+          res.json({ success: true });
+        }
+      );
+    }
+  );
+});
+
+// ==================== NOTIFICATION APIs ====================
+
+// Get notifications for the current user; ?unread=1 for unread only
+app.get('/api/notifications', requireLogin, (req, res) => {
+  const userId = req.session.userId;
+  const unreadOnly = req.query.unread === '1' || req.query.unread === 'true';
+  const { before, limit } = parsePageParams(req.query);
+
+  const query = `
+    SELECT n.id, n.type, n.post_id, n.chat_id, n.is_read, n.created_at,
+           u.username as actor_username, u.name as actor_name, u.profile_image as actor_image
+    FROM notifications n
+    JOIN users u ON n.actor_id = u.id
+    WHERE n.user_id = ? AND n.id < ?
+      ${unreadOnly ? 'AND n.is_read = 0' : ''}
+    ORDER BY n.id DESC
+    LIMIT ?
+  `;
+
+  db.all(query, [userId, before, limit + 1], (err, notifications) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+
+    db.get(
+      'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0',
+      [userId],
+      (err, row) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        res.json({ ...pageResponse(notifications, limit), unread_count: row.count });
+      }
+    );
+  });
+});
+
+// Mark all notifications as read
+app.post('/api/notifications/read-all', requireLogin, (req, res) => {
+  db.run(
+    'UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0',
+    [req.session.userId],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json({ success: true, updated: this.changes });
+    }
+  );
+});
+
+// Mark one notification as read
+app.post('/api/notifications/:id/read', requireLogin, (req, res) => {
+  db.run(
+    'UPDATE notifications SET is_read = 1 WHERE id = ? AND user_id = ?',
+    [req.params.id, req.session.userId],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (this.changes === 0) return res.status(404).json({ error: 'Notification not found' });
+      res.json({ success: true });
+    }
+  );
+});
+
+// ==================== REAL-TIME CHAT ====================
+
+// Connected sockets per user id; a user can have several tabs open
+const chatClients = new Map();
+const wss = new WebSocketServer({ noServer: true });
+
+function sendToUser(userId, payload) {
+  const sockets = chatClients.get(userId);
+  if (!sockets) return;
+
+  const data = JSON.stringify(payload);
+  sockets.forEach(ws => {
+    if (ws.readyState === ws.OPEN) ws.send(data);
+  });
+}
+
+function otherParticipant(chat, userId) {
+  return chat.user1_id === userId ? chat.user2_id : chat.user1_id;
+}
+
+// Ids of everyone the user has a chat with
+function getChatPartners(userId, callback) {
+  db.all(
+    `SELECT CASE WHEN user1_id = ? THEN user2_id ELSE user1_id END as other_id
+     FROM chats WHERE user1_id = ? OR user2_id = ?`,
+    [userId, userId, userId],
+    (err, rows) => callback(err, rows ? rows.map(row => row.other_id) : [])
+  );
+}
+
+function broadcastPresence(userId, online) {
+  getChatPartners(userId, (err, partnerIds) => {
+    if (err) return console.error('Presence lookup failed:', err);
+    partnerIds.forEach(id => sendToUser(id, { type: 'presence', userId, online }));
+  });
+}
+
+// Push a freshly stored message to both participants of its chat
+function pushNewMessage(chat, messageId) {
+  db.get(
+    `SELECT m.*, u.username, u.profile_image
+     FROM messages m
+     JOIN users u ON m.sender_id = u.id
+     WHERE m.id = ?`,
+    [messageId],
+    (err, message) => {
+      if (err || !message) return console.error('Message push failed:', err);
+      signMessageFiles([message]).then(() => {
+        const payload = { type: 'message', chatId: chat.id, message };
+        sendToUser(chat.user1_id, payload);
+        sendToUser(chat.user2_id, payload);
+      }, err => console.error('Message push failed:', err));
+    }
+  );
+}
+
+// Show a new admin message right away to everyone it is addressed to who is online
+function pushAdminMessage(messageId) {
+  db.get('SELECT * FROM admin_messages WHERE id = ?', [messageId], (err, message) => {
+    if (err || !message) return;
+
+    const payload = {
+      type: 'admin_message',
+      message: {
+        id: message.id,
+        message_type: message.message_type,
+        content: message.content,
+        created_at: message.created_at,
+        is_read: 0
+      }
+    };
+
+    chatClients.forEach((sockets, userId) => {
+      db.get(
+        `SELECT 1 as ok FROM admin_messages m WHERE m.id = ? AND ${ADMIN_MESSAGE_AUDIENCE}`,
+        [message.id, userId, userId],
+        (err, row) => {
+          if (!err && row) sendToUser(userId, payload);
+        }
+      );
+    });
+  });
+}
+
+function handleSocketMessage(ws, raw) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    return;
+  }
+
+  if (data.type === 'typing') {
+    findChatForUser(data.chatId, ws.userId, (err, chat) => {
+      if (err || !chat) return;
+      sendToUser(otherParticipant(chat, ws.userId), {
+        type: 'typing',
+        chatId: chat.id,
+        userId: ws.userId,
+        isTyping: !!data.isTyping
+      });
+    });
+  }
+}
+
+wss.on('connection', (ws, req) => {
+  const userId = req.session.userId;
+  ws.userId = userId;
+  ws.isAlive = true;
+
+  if (!chatClients.has(userId)) {
+    chatClients.set(userId, new Set());
+    broadcastPresence(userId, true);
+  }
+  chatClients.get(userId).add(ws);
+
+  // Tell the new client which of its chat partners are online right now
+  getChatPartners(userId, (err, partnerIds) => {
+    if (err) return;
+    ws.send(JSON.stringify({
+      type: 'presence_list',
+      online: partnerIds.filter(id => chatClients.has(id))
+    }));
+  });
+
+  ws.on('pong', () => { ws.isAlive = true; });
+  ws.on('message', raw => handleSocketMessage(ws, raw));
+  // Protocol errors (e.g. an unmasked frame) only end this connection
+  ws.on('error', (err) => {
+    console.error('Chat socket error:', err.message);
+    ws.terminate();
+  });
+  ws.on('close', () => {
+    const sockets = chatClients.get(userId);
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+      chatClients.delete(userId);
+      broadcastPresence(userId, false);
+    }
+  });
+});
+
+// Drop connections that stopped answering pings
+const heartbeat = setInterval(() => {
+  wss.clients.forEach(ws => {
+    if (!ws.isAlive) return ws.terminate();
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, 30000);
+wss.on('close', () => clearInterval(heartbeat));
+
+// Authenticate the upgrade request with the same session cookie as the REST API
+function handleUpgrade(req, socket, head) {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  if (pathname !== '/ws/chat') return socket.destroy();
+
+  sessionMiddleware(req, {}, () => {
+    if (!req.session || !req.session.userId) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return socket.destroy();
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      wss.emit('connection', ws, req);
+    });
+  });
+}
+
+// ==================== ADMIN APIs ====================
+
+// Admin stats
+app.get('/api/admin/stats', requireAdmin, (req, res) => {
+  const queries = {
+    totalUsers: 'SELECT COUNT(*) as count FROM users',
+    totalPosts: 'SELECT COUNT(*) as count FROM posts',
+    totalComments: 'SELECT COUNT(*) as count FROM comments',
+    totalReports: "SELECT COUNT(*) as count FROM reports WHERE status = 'pending'"
+  };
+
+  const results = {};
+  let completed = 0;
+
+  Object.keys(queries).forEach(key => {
+    db.get(queries[key], [], (err, row) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      results[key] = row.count;
+      completed++;
+      
+      if (completed === Object.keys(queries).length) {
+        res.json(results);
+      }
+    });
+  });
+});
+
+// Get all users for admin
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+  const query = `
+    SELECT id, username, name, created_at, is_blocked, locked_until,
+      (SELECT COUNT(*) FROM posts WHERE user_id = users.id) as post_count,
+      CASE WHEN locked_until > CURRENT_TIMESTAMP THEN 1 ELSE 0 END as is_locked
+    FROM users 
+    ORDER BY created_at DESC
+  `;
+
+  db.all(query, [], (err, users) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json(users);
+  });
+});
+
+// Block/unblock user
+app.post('/api/admin/users/:id/block', requireAdmin, (req, res) => {
+  setUserBlocked(req.params.id, req.body.blocked, (err) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json({ success: true });
+  });
+});
+
+// A user's login history and active sessions, for the user detail modal
+app.get('/api/admin/users/:id/logins', requireAdmin, (req, res) => {
+  sendLoginHistory(req.params.id, req.query, res);
+});
+
+app.get('/api/admin/users/:id/sessions', requireAdmin, (req, res) => {
+  sendUserSessions(req.params.id, req.sessionID, res);
+});
+
+// Lift a login lockout
+app.post('/api/admin/users/:id/unlock', requireAdmin, (req, res) => {
+  clearLoginLockout(req.params.id, function(err) {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (this.changes === 0) return res.status(404).json({ error: 'User not found' });
+    res.json({ success: true });
+  });
+});
+
+// Delete user
+app.delete('/api/admin/users/:id', requireAdmin, (req, res) => {
+  // Same clean-up as a user closing their own account, sessions and tokens included
+  deleteUserAccount(req.params.id, (err, deleted) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!deleted) return res.status(404).json({ error: 'User not found' });
+    res.json({ success: true });
+  });
+});
+
+// Media type of a post for the admin posts table
+const POST_MEDIA_TYPE = `CASE
+  WHEN p.video IS NOT NULL THEN 'video'
+  WHEN p.image IS NOT NULL THEN 'image'
+  WHEN p.audio IS NOT NULL THEN 'audio'
+  ELSE 'text'
+END`;
+
+const POST_MEDIA_FILTERS = {
+  text: 'p.image IS NULL AND p.video IS NULL AND p.audio IS NULL',
+  media: '(p.image IS NOT NULL OR p.video IS NOT NULL OR p.audio IS NOT NULL)',
+  image: 'p.image IS NOT NULL',
+  video: 'p.video IS NOT NULL',
+  audio: 'p.audio IS NOT NULL'
+};
+
+// Get all posts for admin: ?q= search, ?type= media filter, ?reported=1
+app.get('/api/admin/posts', requireAdmin, (req, res) => {
+  const { q, type, reported } = req.query;
+  const { before, limit } = parsePageParams(req.query);
+
+  const conditions = ['p.id < ?'];
+  const params = [before];
+
+  if (q) {
+    conditions.push('(p.content LIKE ? OR u.username LIKE ?)');
+    params.push(`%${q}%`, `%${q}%`);
+  }
+  if (POST_MEDIA_FILTERS[type]) {
+    conditions.push(POST_MEDIA_FILTERS[type]);
+  }
+  if (reported === '1' || reported === 'true') {
+    conditions.push('report_count > 0');
+  }
+
+  const query = `
+    SELECT p.*, u.username, ${POST_MEDIA_TYPE} as media_type,
+           (SELECT COUNT(*) FROM likes WHERE post_id = p.id) as like_count,
+           (SELECT COUNT(*) FROM comments WHERE post_id = p.id) as comment_count,
+           (SELECT COUNT(*) FROM reports
+            WHERE target_type = 'post' AND target_id = p.id AND status = 'pending') as report_count
+    FROM posts p
+    LEFT JOIN users u ON p.user_id = u.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY p.id DESC
+    LIMIT ?
+  `;
+  params.push(limit + 1);
+
+  db.all(query, params, (err, posts) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json(pageResponse(posts, limit));
+  });
+});
+
+// Get post details for admin, with its comments, likes and reports
+app.get('/api/admin/posts/:id', requireAdmin, (req, res) => {
+  const postId = req.params.id;
+
+  const query = `
+    SELECT p.*, u.username, u.profile_image, ${POST_MEDIA_TYPE} as media_type
+    FROM posts p
+    LEFT JOIN users u ON p.user_id = u.id
+    WHERE p.id = ?
+  `;
+
+  db.get(query, [postId], (err, post) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!post) return res.status(404).json({ error: 'Post not found' });
+
+    db.all(
+      `SELECT c.*, u.username FROM comments c
+       LEFT JOIN users u ON c.user_id = u.id
+       WHERE c.post_id = ? ORDER BY c.id ASC`,
+      [postId],
+      (err, comments) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+
+        db.all(
+          `SELECT l.user_id, l.reaction, l.created_at, u.username FROM likes l
+           LEFT JOIN users u ON l.user_id = u.id
+           WHERE l.post_id = ? ORDER BY l.id DESC`,
+          [postId],
+          (err, likes) => {
+            if (err) return res.status(500).json({ error: 'Database error' });
+
+            db.all(
+              `SELECT r.*, u.username as reporter_username FROM reports r
+               LEFT JOIN users u ON r.reporter_id = u.id
+               WHERE r.target_type = 'post' AND r.target_id = ? ORDER BY r.id DESC`,
+              [postId],
+              (err, reports) => {
+                if (err) return res.status(500).json({ error: 'Database error' });
+
+                attachPostMedia([post], (err) => {
+                  if (err) return res.status(500).json({ error: 'Database error' });
+                  res.json({ ...post, comments, likes, reports });
+                });
+              }
+            );
+          }
+        );
+      }
+    );
+  });
+});
+
+// Delete post
+app.delete('/api/admin/posts/:id', requireAdmin, (req, res) => {
+  deletePost(req.params.id, (err, deleted) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!deleted) return res.status(404).json({ error: 'Post not found' });
+    res.json({ success: true });
+  });
+});
+
+const ADMIN_MESSAGE_TYPES = ['info', 'warning', 'important'];
+const ADMIN_MESSAGE_GROUPS = ['all', 'admins', 'blocked'];
+
+// Send admin message to everyone, a group, or one user (by username)
+app.post('/api/admin/messages', requireAdmin, (req, res) => {
+  const { recipient, username, messageType, content } = req.body;
+
+  if (!ADMIN_MESSAGE_TYPES.includes(messageType)) {
+    return res.status(400).json({ error: 'Invalid message type' });
+  }
+  if (!content || !content.trim()) {
+    return res.status(400).json({ error: 'Message content required' });
+  }
+
+  const saveMessage = (recipientUserId) => {
+    db.run(
+      `INSERT INTO admin_messages (recipient, recipient_user_id, message_type, content, sender_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [recipientUserId ? 'user' : recipient, recipientUserId, messageType, content.trim(), req.session.userId],
+      function(err) {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        const messageId = this.lastID;
+        res.json({ success: true, messageId });
+        pushAdminMessage(messageId);
+      }
+    );
+  };
+
+  if (ADMIN_MESSAGE_GROUPS.includes(recipient)) return saveMessage(null);
+  if (recipient !== 'specific') return res.status(400).json({ error: 'Invalid recipient' });
+
+  db.get('SELECT id FROM users WHERE username = ?', [(username || '').toLowerCase()], (err, user) => {
     if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(chats);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    saveMessage(user.id);
   });
 });
 
-// Get chat messages
-app.get('/api/chats/:id/messages', requireLogin, (req, res) => {
-  const chatId = req.params.id;
-  const userId = req.session.userId;
+// Get sent admin messages
+app.get('/api/admin/messages', requireAdmin, (req, res) => {
+  const { before, limit } = parsePageParams(req.query);
 
-  // Check if user has access to this chat
-  db.get(
-    'SELECT * FROM chats WHERE id = ? AND (user1_id = ? OR user2_id = ?)',
-    [chatId, userId, userId],
-    (err, chat) => {
-      if (err || !chat) return res.status(403).json({ error: 'Access denied' });
+  const query = `
+    SELECT m.*, sender.username as sender_username, target.username as recipient_username,
+           (SELECT COUNT(*) FROM admin_message_reads WHERE message_id = m.id) as read_count
+    FROM admin_messages m
+    LEFT JOIN users sender ON m.sender_id = sender.id
+    LEFT JOIN users target ON m.recipient_user_id = target.id
+    WHERE m.id < ?
+    ORDER BY m.id DESC
+    LIMIT ?
+  `;
 
-      const query = `
-        SELECT m.*, u.username, u.profile_image
-        FROM messages m
-        JOIN users u ON m.sender_id = u.id
-        WHERE m.chat_id = ?
-        ORDER BY m.created_at ASC
-      `;
+  db.all(query, [before, limit + 1], (err, messages) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json(pageResponse(messages, limit));
+  });
+});
 
-      db.all(query, [chatId], (err, messages) => {
-        if (err) return res.status(500).json({ error: 'Database error' });
-        res.json(messages);
-      });
-    }
-  );
+// Get site settings
+app.get('/api/admin/settings', requireAdmin, (req, res) => {
+  getSettings((err, settings) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json({
+      maintenanceMode: settings.maintenance_mode === '1',
+      allowRegistrations: settings.allow_registrations === '1',
+      maxFileSize: Number(settings.max_file_size_mb)
+    });
+  });
 });
 
-// Send message
-app.post('/api/chats/:id/messages', requireLogin, upload.single('file'), (req, res) => {
-  const chatId = req.params.id;
-  const userId = req.session.userId;
-  const { content } = req.body;
+// Update site settings
+app.put('/api/admin/settings', requireAdmin, (req, res) => {
+  const { maintenanceMode, allowRegistrations, maxFileSize } = req.body;
+  const updates = {};
+
+  if (maintenanceMode !== undefined) updates.maintenance_mode = maintenanceMode ? '1' : '0';
+  if (allowRegistrations !== undefined) updates.allow_registrations = allowRegistrations ? '1' : '0';
+  if (maxFileSize !== undefined) {
+    const size = Number(maxFileSize);
+    if (!Number.isInteger(size) || size < 1 || size > 100) {
+      return res.status(400).json({ error: 'maxFileSize must be between 1 and 100 MB' });
+    }
+    updates.max_file_size_mb = String(size);
+  }
 
-  // Check if user has access to this chat
-  db.get(
-    'SELECT * FROM chats WHERE id = ? AND (user1_id = ? OR user2_id = ?)',
-    [chatId, userId, userId],
-    (err, chat) => {
-      if (err || !chat) return res.status(403).json({ error: 'Access denied' });
+  db.serialize(() => {
+    const stmt = db.prepare(
+      `INSERT INTO settings (key, value) VALUES (?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`
+    );
+    Object.entries(updates).forEach(([key, value]) => stmt.run(key, value));
+    stmt.finalize((err) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json({ success: true });
+    });
+  });
+});
 
-      const messageType = req.file ? 'file' : 'text';
-      const fileUrl = req.file ? 'uploads/' + req.file.filename : null;
+// Get reports, optionally filtered by status
+app.get('/api/admin/reports', requireAdmin, (req, res) => {
+  const status = req.query.status || 'all';
+  const { before, limit } = parsePageParams(req.query);
 
-      db.run(
-        'INSERT INTO messages (chat_id, sender_id, content, message_type, file_url) VALUES (?, ?, ?, ?, ?)',
-        [chatId, userId, content, messageType, fileUrl],
-        function(err) {
-          if (err) return res.status(500).json({ error: 'Database error' });
-          res.json({ success: true, messageId: this.lastID });
-        }
-      );
-    }
-  );
+  const query = `
+    SELECT r.*, reporter.username as reporter_username, resolver.username as resolved_by_username,
+           CASE r.target_type
+             WHEN 'post' THEN (SELECT content FROM posts WHERE id = r.target_id)
+             WHEN 'comment' THEN (SELECT content FROM comments WHERE id = r.target_id)
+             WHEN 'message' THEN (SELECT content FROM messages WHERE id = r.target_id)
+             WHEN 'user' THEN (SELECT username FROM users WHERE id = r.target_id)
+           END as target_preview
+    FROM reports r
+    LEFT JOIN users reporter ON r.reporter_id = reporter.id
+    LEFT JOIN users resolver ON r.resolved_by = resolver.id
+    WHERE (? = 'all' OR r.status = ?) AND r.id < ?
+    ORDER BY r.id DESC
+    LIMIT ?
+  `;
+
+  db.all(query, [status, status, before, limit + 1], (err, reports) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json(pageResponse(reports, limit));
+  });
 });
 
-// Create or get chat
-app.post('/api/chats', requireLogin, (req, res) => {
-  const userId = req.session.userId;
-  const { otherUserId } = req.body;
+// Resolve report, optionally deleting the content or blocking its author
+app.post('/api/admin/reports/:id/resolve', requireAdmin, (req, res) => {
+  const action = req.body.action || 'none';
 
-  // Check if chat already exists
-  db.get(
-    'SELECT * FROM chats WHERE (user1_id = ? AND user2_id = ?) OR (user1_id = ? AND user2_id = ?)',
-    [userId, otherUserId, otherUserId, userId],
-    (err, existingChat) => {
-      if (err) return res.status(500).json({ error: 'Database error' });
+  if (!['none', 'delete_content', 'block_user'].includes(action)) {
+    return res.status(400).json({ error: 'Invalid action' });
+  }
 
-      if (existingChat) {
-        return res.json(existingChat);
-      }
+  db.get('SELECT * FROM reports WHERE id = ?', [req.params.id], (err, report) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+    if (report.status !== 'pending') return res.status(400).json({ error: 'Report already handled' });
 
-      // Create new chat
-      db.run(
-        'INSERT INTO chats (user1_id, user2_id) VALUES (?, ?)',
-        [userId, otherUserId],
-        function(err) {
-          if (err) return res.status(500).json({ error: 'Database error' });
-          res.json({ id: this.lastID, user1_id: userId, user2_id: otherUserId });
-        }
-      );
-    }
-  );
-});
+    const target = REPORT_TARGETS[report.target_type];
 
-// ==================== ADMIN APIs ====================
+    db.get(`SELECT * FROM ${target.table} WHERE id = ?`, [report.target_id], (err, row) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!row && action !== 'none') return res.status(404).json({ error: 'Content no longer exists' });
 
-// Admin stats
-app.get('/api/admin/stats', requireAdmin, (req, res) => {
-  const queries = {
-    totalUsers: 'SELECT COUNT(*) as count FROM users',
-    totalPosts: 'SELECT COUNT(*) as count FROM posts',
-    totalComments: 'SELECT COUNT(*) as count FROM comments',
-    totalReports: 'SELECT COUNT(*) as count FROM reports WHERE status = "pending"'
-  };
+      // Every pending report on the same target is settled by this decision
+      const markResolved = (err) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
 
-  const results = {};
-  let completed = 0;
+        db.run(
+          `UPDATE reports SET status = 'resolved', action_taken = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+           WHERE target_type = ? AND target_id = ? AND status = 'pending'`,
+          [action, req.session.userId, report.target_type, report.target_id],
+          function(err) {
+            if (err) return res.status(500).json({ error: 'Database error' });
+            res.json({ success: true, resolved: this.changes });
+          }
+        );
+      };
 
-  Object.keys(queries).forEach(key => {
-    db.get(queries[key], [], (err, row) => {
-      if (err) return res.status(500).json({ error: 'Database error' });
-      results[key] = row.count;
-      completed++;
-      
-      if (completed === Object.keys(queries).length) {
-        res.json(results);
+      if (action === 'delete_content') {
+        if (report.target_type === 'user') {
+          return res.status(400).json({ error: 'Use block_user for user reports' });
+        }
+        if (report.target_type === 'post') return deletePost(row.id, markResolved);
+        if (report.target_type === 'comment') return deleteComment(row.id, markResolved);
+        return db.run(`DELETE FROM ${target.table} WHERE id = ?`, [row.id], markResolved);
       }
-    });
-  });
-});
 
-// Get all users for admin
-app.get('/api/admin/users', requireAdmin, (req, res) => {
-  const query = `
-    SELECT *, (SELECT COUNT(*) FROM posts WHERE user_id = users.id) as post_count
-    FROM users 
-    ORDER BY created_at DESC
-  `;
+      if (action === 'block_user') {
+        return setUserBlocked(row[target.authorColumn], true, markResolved);
+      }
 
-  db.all(query, [], (err, users) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    res.json(users);
+      markResolved();
+    });
   });
 });
 
-// Block/unblock user
-app.post('/api/admin/users/:id/block', requireAdmin, (req, res) => {
-  const userId = req.params.id;
-  const { blocked } = req.body;
-
+// Ignore report
+app.post('/api/admin/reports/:id/ignore', requireAdmin, (req, res) => {
   db.run(
-    'UPDATE users SET is_blocked = ? WHERE id = ?',
-    [blocked ? 1 : 0, userId],
+    `UPDATE reports SET status = 'ignored', action_taken = 'none', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending'`,
+    [req.session.userId, req.params.id],
     function(err) {
       if (err) return res.status(500).json({ error: 'Database error' });
+      if (this.changes === 0) return res.status(404).json({ error: 'Pending report not found' });
       res.json({ success: true });
     }
   );
 });
 
-// Delete user
-app.delete('/api/admin/users/:id', requireAdmin, (req, res) => {
-  const userId = req.params.id;
-
-  db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    res.json({ success: true });
-  });
-});
-
 // ==================== UTILITY APIs ====================
 
 // Health check
@@ -726,58 +3077,217 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Forget password (placeholder)
-app.post('/forget-password', (req, res) => {
-  const { username, rememberName } = req.body;
-  // In real app, send email with reset link
+// ==================== PASSWORD RESET APIs ====================
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+function alertAndRedirect(res, message, target) {
+  const destination = target ? `window.location.href = '${target}';` : 'window.history.back();';
   res.send(`
     <script>
-      alert('Fariin reset password ayaa la ku diray email-kaaga');
-      window.location.href = '/reset-password.html?username=${username}';
+      alert('${message}');
+      ${destination}
     </script>
   `);
+}
+
+// Forget password: email a single-use reset link.
+// The answer is the same whether or not the account exists.
+app.post('/forget-password', rateLimit.forget_password, (req, res) => {
+  const identifier = (req.body.username || '').trim().toLowerCase();
+
+  if (!identifier) {
+    return alertAndRedirect(res, 'Fadlan buuxi dhammaan fields-ka');
+  }
+
+  const done = () => alertAndRedirect(
+    res,
+    'Haddii akoonku jiro, fariin reset password ayaa la ku diray email-kaaga',
+    '/login.html'
+  );
+
+  db.get(
+    'SELECT id, username, email FROM users WHERE (username = ? OR email = ?) AND is_blocked = 0',
+    [identifier, identifier],
+    (err, user) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).send('Server error');
+      }
+      if (!user || !user.email) return done();
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+
+      db.run(
+        'INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+        [user.id, hashToken(token), expiresAt],
+        (err) => {
+          if (err) {
+            console.error('Database error:', err);
+            return res.status(500).send('Server error');
+          }
+
+          mailer.send({
+            to: user.email,
+            subject: 'Bedel password-kaaga',
+            text: `Salaan ${user.username},\n\n` +
+              `Si aad u bedesho password-kaaga, fur link-gan (wuxuu dhacayaa 1 saac kadib):\n` +
+              `${APP_URL}/reset-password.html?token=${token}\n\n` +
+              `Haddii aadan adigu codsan, iska indho tir fariintan.`
+          }).catch(error => console.error('Reset email failed:', error));
+
+          done();
+        }
+      );
+    }
+  );
 });
 
-// Reset password
+// Reset password with a token from the reset email
 app.post('/reset-password', (req, res) => {
-  const { username, newPassword } = req.body;
+  const { token, newPassword, confirmNewPassword } = req.body;
   
-  bcrypt.hash(newPassword, 10, (err, hashedPassword) => {
-    if (err) return res.status(500).send('Server error');
-    
-    db.run(
-      'UPDATE users SET password = ? WHERE username = ?',
-      [hashedPassword, username],
-      function(err) {
-        if (err) return res.status(500).send('Server error');
-        res.send(`
-          <script>
-            alert('Password-kaaga si guul leh ayaa loo beddelay!');
-            window.location.href = '/login.html';
-          </script>
-        `);
+  // Validate inputs
+  if (!token || !newPassword || !confirmNewPassword) {
+    return alertAndRedirect(res, 'Fadlan buuxi dhammaan fields-ka');
+  }
+
+  if (newPassword !== confirmNewPassword) {
+    return alertAndRedirect(res, 'Password-ka cusub ma qabanayso!');
+  }
+
+  if (newPassword.length < 6) {
+    return alertAndRedirect(res, 'Password-ku waa inuu ka yaraadaa 6 xaraf!');
+  }
+
+  db.get(
+    'SELECT * FROM password_resets WHERE token_hash = ? AND used_at IS NULL',
+    [hashToken(token)],
+    (err, reset) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).send('Server error');
       }
-    );
-  });
+
+      if (!reset || new Date(reset.expires_at) < new Date()) {
+        return alertAndRedirect(res, 'Link-ga reset-ka waa khalad ama wuu dhacay. Fadlan mar kale codso.', '/forget-password.html');
+      }
+
+      // Claim the link before using it, so two requests with the same token
+      // can't both set a password
+      db.run(
+        'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND used_at IS NULL',
+        [reset.token_hash],
+        function(err) {
+          if (err) {
+            console.error('Database error:', err);
+            return res.status(500).send('Server error');
+          }
+          if (this.changes !== 1) {
+            return alertAndRedirect(res, 'Link-ga reset-ka waa khalad ama wuu dhacay. Fadlan mar kale codso.', '/forget-password.html');
+          }
+
+          bcrypt.hash(newPassword, 10, (err, hashedPassword) => {
+            if (err) {
+              console.error('Bcrypt error:', err);
+              return res.status(500).send('Server error');
+            }
+
+            db.run(
+              'UPDATE users SET password = ?, failed_logins = 0, locked_until = NULL WHERE id = ?',
+              [hashedPassword, reset.user_id],
+              (err) => {
+                if (err) {
+                  console.error('Database error:', err);
+                  return res.status(500).send('Server error');
+                }
+
+                db.serialize(() => {
+                  // Anyone signed in with the old password is signed out
+                  db.run('DELETE FROM sessions WHERE user_id = ?', [reset.user_id]);
+                  // Using one link burns every outstanding link for the account
+                  db.run(
+                    'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+                    [reset.user_id],
+                    (err) => {
+                      if (err) {
+                        console.error('Database error:', err);
+                        return res.status(500).send('Server error');
+                      }
+                      alertAndRedirect(res, 'Password-kaaga si guul leh ayaa loo beddelay! Fadlan soo gal.', '/login.html');
+                    }
+                  );
+                });
+              }
+            );
+          });
+        }
+      );
+    }
+  );
+});
+
+// The API description that request validation is based on
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapiSpec);
 });
 
 // 404 handler
 app.use((req, res) => {
+  if (wantsJson(req)) return res.status(404).json({ error: 'Not found' });
   res.status(404).send('Page not found');
 });
 
 // Error handler
 app.use((err, req, res, next) => {
+  const reply = (status, message) => (wantsJson(req)
+    ? res.status(status).json({ error: message })
+    : res.status(status).send(message));
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return reply(413, 'File-ka aad buu u weyn yahay');
+  }
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    // Multer raises this for an unknown file field and for going over a field's maxCount
+    return reply(400, err.field === 'media'
+      ? `Ugu badnaan ${MAX_POST_MEDIA} file ayaa post la raacin karaa`
+      : 'File aan la filayn ayaa la soo diray');
+  }
+  if (err.code === 'UNSUPPORTED_MEDIA_TYPE') {
+    return reply(415, 'Nooca file-kan lama oggola');
+  }
+  if (err.type === 'entity.parse.failed') {
+    return reply(400, 'Invalid JSON body');
+  }
+  if (err.code === 'EBADCSRFTOKEN') {
+    return reply(403, wantsJson(req) ? 'Invalid CSRF token' : 'Bogga dib u cusboonaysii oo isku day mar kale');
+  }
+  if (err.code === 'RATE_LIMITED') {
+    res.set('Retry-After', String(err.retryAfter));
+    return reply(429, err.message);
+  }
   console.error('Server error:', err);
-  res.status(500).send('Server error');
+  reply(500, 'Server error');
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server wuxuu ka socdaa http://localhost:${PORT}`);
-  console.log(`📁 Database: ${dbPath}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+migrate(db)
+  .then((applied) => {
+    applied.forEach(migration => console.log(`🗄️ Migration applied: ${migration.version}-${migration.name}`));
+    createDefaultAdmin();
+
+    const server = app.listen(PORT, () => {
+      console.log(`🚀 Server wuxuu ka socdaa http://localhost:${PORT}`);
+      console.log(`📁 Database: ${dbPath}`);
+      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+    server.on('upgrade', handleUpgrade);
+  })
+  .catch((err) => {
+    console.error('Database migration failed:', err);
+    process.exit(1);
+  });
 
 process.on('SIGINT', () => {
   console.log('Server closing...');
@@ -785,27 +3295,6 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// server.js - Khaladka jira
-app.post('/forget-password', (req, res) => {
-  const { username, rememberName } = req.body;
-  // In real app, send email with reset link
-  res.send(`
-    <script>
-      alert('Fariin reset password ayaa la ku diray email-kaaga');
-      window.location.href = '/reset-password.html?username=${username}';
-    </script>
-  `);
-});
-
-// SAXDA AH - Add this in the HTML routes section
-app.get('/forget-password.html', (req, res) => {
-  res.sendFile(path.join(__dirname, 'views', 'forget-password.html'));
-});
-
-app.get('/reset-password.html', (req, res) => {
-  res.sendFile(path.join(__dirname, 'views', 'reset-password.html'));
-});
-
 // ==================== HTML ROUTES ====================
 
 // Home page
@@ -866,128 +3355,3 @@ app.get('/admin.html', requireAdmin, (req, res) => {
 app.get('/:page', (req, res) => {
   res.status(404).send('Page not found');
 });
-
-// ==================== PASSWORD RESET APIs ====================
-
-// Forget password - SAXDA AH
-app.post('/forget-password', (req, res) => {
-  const { username, rememberName } = req.body;
-  
-  console.log('Password reset request for:', username);
-  
-  // Validate input
-  if (!username || !rememberName) {
-    return res.send(`
-      <script>
-        alert('Fadlan buuxi dhammaan fields-ka');
-        window.history.back();
-      </script>
-    `);
-  }
-
-  // Check if user exists and remember name matches
-  db.get(
-    'SELECT * FROM users WHERE username = ? AND name = ?',
-    [username.toLowerCase(), rememberName],
-    (err, user) => {
-      if (err) {
-        console.error('Database error:', err);
-        return res.status(500).send('Server error');
-      }
-      
-      if (!user) {
-        return res.send(`
-          <script>
-            alert('Username ama magaca xasuusta waa khalad');
-            window.history.back();
-          </script>
-        `);
-      }
-
-      // Success - redirect to reset password
-      res.send(`
-        <script>
-          alert('Password reset approved! Fadlan dhig password cusub');
-          window.location.href = '/reset-password.html?username=${username}';
-        </script>
-      `);
-    }
-  );
-});
-
-// Reset password - SAXDA AH
-app.post('/reset-password', (req, res) => {
-  const { username, newPassword, confirmNewPassword } = req.body;
-  
-  // Validate inputs
-  if (!username || !newPassword || !confirmNewPassword) {
-    return res.send(`
-      <script>
-        alert('Fadlan buuxi dhammaan fields-ka');
-        window.history.back();
-      </script>
-    `);
-  }
-
-  if (newPassword !== confirmNewPassword) {
-    return res.send(`
-      <script>
-        alert('Password-ka cusub ma qabanayso!');
-        window.history.back();
-      </script>
-    `);
-  }
-
-  if (newPassword.length < 6) {
-    return res.send(`
-      <script>
-        alert('Password-ku waa inuu ka yaraadaa 6 xaraf!');
-        window.history.back();
-      </script>
-    `);
-  }
-
-  // Hash new password and update
-  bcrypt.hash(newPassword, 10, (err, hashedPassword) => {
-    if (err) {
-      console.error('Bcrypt error:', err);
-      return res.status(500).send('Server error');
-    }
-    
-    db.run(
-      'UPDATE users SET password = ? WHERE username = ?',
-      [hashedPassword, username],
-      function(err) {
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).send('Server error');
-        }
-        
-        if (this.changes === 0) {
-          return res.send(`
-            <script>
-              alert('User lama helin');
-              window.history.back();
-            </script>
-          `);
-        }
-
-        res.send(`
-          <script>
-            alert('Password-kaaga si guul leh ayaa loo beddelay! Fadlan soo gal.');
-            window.location.href = '/login.html';
-          </script>
-        `);
-      }
-    );
-  });
-});
-
-// Temporary fix - Add this at the TOP of your routes
-app.get('/forget-password.html', (req, res) => {
-  res.sendFile(path.join(__dirname, 'views', 'forget-password.html'));
-});
-
-app.get('/reset-password.html', (req, res) => {
-  res.sendFile(path.join(__dirname, 'views', 'reset-password.html'));
-});
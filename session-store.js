@@ -0,0 +1,92 @@
+const session = require('express-session');
+
+// express-session store on the sessions table. Expired rows are ignored
+// when read and swept out every `cleanupInterval` ms. userId, ip and
+// userAgent are copied out of the session data into columns so a user's
+// sessions can be listed; last_seen_at moves on every request.
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+function expiresAt(sess) {
+  const expires = sess.cookie && sess.cookie.expires
+    ? new Date(sess.cookie.expires).getTime()
+    : Date.now() + ONE_DAY;
+  return Math.floor(expires / 1000);
+}
+
+class SQLiteSessionStore extends session.Store {
+  constructor(db, { cleanupInterval = 15 * 60 * 1000 } = {}) {
+    super();
+    this.db = db;
+
+    const sweeper = setInterval(() => {
+      db.run('DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP', (err) => {
+        if (err) console.error('Session cleanup failed:', err);
+      });
+    }, cleanupInterval);
+    sweeper.unref();
+  }
+
+  get(sid, callback) {
+    this.db.get(
+      'SELECT data FROM sessions WHERE sid = ? AND expires_at > CURRENT_TIMESTAMP',
+      [sid],
+      (err, row) => {
+        if (err) return callback(err);
+        if (!row) return callback(null, null);
+        try {
+          callback(null, JSON.parse(row.data));
+        } catch (parseError) {
+          callback(parseError);
+        }
+      }
+    );
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.db.run(
+      `INSERT INTO sessions (sid, user_id, ip, user_agent, data, expires_at, created_at, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, datetime(?, 'unixepoch'), CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT(sid) DO UPDATE SET user_id = excluded.user_id, ip = excluded.ip, user_agent = excluded.user_agent,
+         data = excluded.data, expires_at = excluded.expires_at, last_seen_at = excluded.last_seen_at`,
+      [sid, sess.userId || null, sess.ip || null, sess.userAgent || null, JSON.stringify(sess), expiresAt(sess)],
+      (err) => callback(err)
+    );
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.db.run(
+      "UPDATE sessions SET expires_at = datetime(?, 'unixepoch'), last_seen_at = CURRENT_TIMESTAMP WHERE sid = ?",
+      [expiresAt(sess), sid],
+      (err) => callback(err)
+    );
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.db.run('DELETE FROM sessions WHERE sid = ?', [sid], (err) => callback(err));
+  }
+
+  // A user's live sessions, most recently used first
+  listUserSessions(userId, callback) {
+    this.db.all(
+      `SELECT sid, ip, user_agent, created_at, last_seen_at, expires_at FROM sessions
+       WHERE user_id = ? AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_seen_at DESC`,
+      [userId],
+      callback
+    );
+  }
+
+  // End every session of a user except `keepSid`; calls back with how many ended
+  destroyUserSessions(userId, keepSid, callback) {
+    this.db.run(
+      'DELETE FROM sessions WHERE user_id = ? AND sid != ?',
+      [userId, keepSid || ''],
+      function (err) {
+        callback(err, err ? 0 : this.changes);
+      }
+    );
+  }
+}
+
+module.exports = { SQLiteSessionStore };
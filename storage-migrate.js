@@ -0,0 +1,27 @@
+// Move uploaded files between storage drivers, e.g.
+//   npm run storage:migrate -- --from=local --to=s3
+// Both drivers read their settings from the environment (see storage.js).
+// Pass --keep to leave the files in the source as well.
+const { createStorage, migrateStorage } = require('./storage');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [name, value] = arg.replace(/^--/, '').split('=');
+  return [name, value === undefined ? true : value];
+}));
+
+if (!args.from || !args.to || args.from === args.to) {
+  console.error('Usage: node storage-migrate.js --from=<local|s3> --to=<local|s3> [--keep]');
+  process.exit(1);
+}
+
+const from = createStorage(process.env, args.from);
+const to = createStorage(process.env, args.to);
+
+migrateStorage(from, to, { keepSource: Boolean(args.keep) })
+  .then(({ total, moved }) => {
+    console.log(`Done: ${moved} of ${total} files copied from ${from.name} to ${to.name}`);
+  })
+  .catch(err => {
+    console.error('Storage migration failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Where uploaded files are kept. STORAGE_DRIVER picks the backend:
+//   local - files on this machine under LOCAL_STORAGE_DIR (default ./storage).
+//           Keep it outside public/: files are only sent by the /uploads
+//           route, which checks private links. Older installs kept them in
+//           public/uploads; move that folder to storage/uploads.
+//   s3    - an S3-compatible bucket: S3_BUCKET, S3_ENDPOINT (for MinIO and
+//           friends), S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and
+//           S3_PUBLIC_URL (defaults to the bucket address)
+// Files are addressed by key, the 'uploads/...' path stored in the database.
+// Keys under uploads/private/ are only reachable through signedUrl().
+// Every driver exposes:
+//   put(key, filePath)          move a local file into storage
+//   read(key)                   Promise of a readable stream
+//   exists(key), remove(key)    Promises; removing a missing file is not an error
+//   list()                      Promise of every key under uploads/
+//   url(key)                    public address of a non-private file
+//   signedUrl(key, seconds)     Promise of a link that stops working after `seconds`
+
+const PRIVATE_PREFIX = 'uploads/private/';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.ogg': 'application/ogg',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.flac': 'audio/flac',
+  '.pdf': 'application/pdf'
+};
+
+function contentType(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+function isPrivate(key) {
+  return key.startsWith(PRIVATE_PREFIX);
+}
+
+// rename() cannot cross filesystems (e.g. /tmp to a mounted volume)
+async function moveFile(from, to) {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+}
+
+function createLocalStorage(options) {
+  const root = path.resolve(options.dir);
+
+  function filePath(key) {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return resolved;
+  }
+
+  function signature(key, expires) {
+    return crypto.createHmac('sha256', options.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  async function listDir(dir, prefix) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(err => {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    });
+    const keys = [];
+    for (const entry of entries) {
+      const key = `${prefix}${entry.name}`;
+      if (entry.isDirectory()) keys.push(...await listDir(path.join(dir, entry.name), `${key}/`));
+      else keys.push(key);
+    }
+    return keys;
+  }
+
+  return {
+    name: 'local',
+    root,
+
+    put(key, source) {
+      return moveFile(source, filePath(key));
+    },
+
+    read(key) {
+      return new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(filePath(key));
+        stream.once('open', () => resolve(stream));
+        stream.once('error', reject);
+      });
+    },
+
+    exists(key) {
+      return fs.promises.access(filePath(key)).then(() => true, () => false);
+    },
+
+    remove(key) {
+      return fs.promises.unlink(filePath(key)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    list() {
+      return listDir(path.join(root, 'uploads'), 'uploads/');
+    },
+
+    url(key) {
+      return `/${key}`;
+    },
+
+    signedUrl(key, seconds) {
+      const expires = Math.floor(Date.now() / 1000) + seconds;
+      return Promise.resolve(`/${key}?expires=${expires}&signature=${signature(key, expires)}`);
+    },
+
+    // Checked by the /uploads route before a private file is sent
+    verifySignature(key, query) {
+      const expires = Number(query.expires);
+      if (!expires || expires < Date.now() / 1000 || typeof query.signature !== 'string') return false;
+
+      const expected = Buffer.from(signature(key, expires));
+      const given = Buffer.from(query.signature);
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+  };
+}
+
+function createS3Storage(options) {
+  // Only needed when S3 is actually used
+  const {
+    S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand,
+    DeleteObjectCommand, ListObjectsV2Command
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  if (!options.bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint,
+    // MinIO-style servers address buckets by path, not by subdomain
+    forcePathStyle: Boolean(options.endpoint),
+    credentials: options.accessKeyId
+      ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+      : undefined
+  });
+  const Bucket = options.bucket;
+  const publicUrl = (options.publicUrl || (options.endpoint
+    ? `${options.endpoint}/${Bucket}`
+    : `https://${Bucket}.s3.${options.region}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    async put(key, source) {
+      const { size } = await fs.promises.stat(source);
+      await client.send(new PutObjectCommand({
+        Bucket,
+        Key: key,
+        Body: fs.createReadStream(source),
+        ContentLength: size,
+        ContentType: contentType(key)
+      }));
+      await fs.promises.unlink(source);
+    },
+
+    async read(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket, Key: key }));
+      return result.Body;
+    },
+
+    exists(key) {
+      return client.send(new HeadObjectCommand({ Bucket, Key: key })).then(() => true, (err) => {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      });
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket, Key: key }));
+    },
+
+    async list() {
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket, Prefix: 'uploads/', ContinuationToken }));
+        (page.Contents || []).forEach(object => keys.push(object.Key));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return keys;
+    },
+
+    url(key) {
+      return `${publicUrl}/${key}`;
+    },
+
+    signedUrl(key, seconds) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket, Key: key }), { expiresIn: seconds });
+    },
+
+    // Signed S3 links go straight to the bucket, never through our routes
+    verifySignature() {
+      return false;
+    }
+  };
+}
+
+function createStorage(env = process.env, driver = env.STORAGE_DRIVER || 'local') {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        dir: env.LOCAL_STORAGE_DIR || 'storage',
+        // Without a configured secret, signed links stop working on restart
+        secret: env.STORAGE_SECRET || env.SESSION_SECRET || crypto.randomBytes(32).toString('hex')
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION || 'us-east-1',
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        publicUrl: env.S3_PUBLIC_URL
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+// Copy every upload from one driver to another, e.g. when moving from local
+// disk to S3. Keys stay the same, so the database needs no changes. Files
+// are removed from the source unless keepSource is set.
+async function migrateStorage(from, to, { keepSource = false, log = console.log } = {}) {
+  const keys = await from.list();
+  const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-migrate-'));
+  let moved = 0;
+
+  try {
+    for (const key of keys) {
+      if (await to.exists(key)) {
+        log(`skip ${key} (already in ${to.name})`);
+      } else {
+        const tmpFile = path.join(tmpDir, path.basename(key));
+        await pipeline(await from.read(key), fs.createWriteStream(tmpFile));
+        await to.put(key, tmpFile);
+        moved++;
+        log(`copied ${key}`);
+      }
+      if (!keepSource) await from.remove(key);
+    }
+  } finally {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  }
+
+  return { total: keys.length, moved };
+}
+
+module.exports = { createStorage, migrateStorage, isPrivate, PRIVATE_PREFIX };
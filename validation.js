@@ -0,0 +1,140 @@
+const Ajv = require('ajv');
+
+// Request validation driven by the OpenAPI document (openapi.js). Each
+// operation's path parameters, query string and body are compiled into JSON
+// schemas once; requests that do not match get a 400 with one entry per
+// problem:
+//   { error: 'Invalid request', details: [{ in: 'body', field: 'privacy', message: '...' }] }
+// Values are coerced the way forms and query strings need (e.g. '12' -> 12,
+// a single value -> an array), and the coerced values are what routes see.
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function createValidator(spec, basePath) {
+  const ajv = new Ajv({
+    allErrors: true,
+    coerceTypes: 'array',
+    strict: false,
+    validateFormats: false
+  });
+  // Operation schemas point into the document's components
+  ajv.addSchema({ components: spec.components }, 'openapi');
+
+  const resolve = (item) => (item && item.$ref
+    ? item.$ref.split('/').slice(1).reduce((node, key) => node[key], spec)
+    : item);
+
+  const linkRefs = (schema) => JSON.parse(JSON.stringify(schema).replace(/"#\/components\//g, '"openapi#/components/'));
+
+  const compileParams = (params, location) => {
+    const own = params.filter(param => param.in === location);
+    if (own.length === 0) return null;
+    return ajv.compile(linkRefs({
+      type: 'object',
+      properties: Object.fromEntries(own.map(param => [param.name, param.schema])),
+      required: own.filter(param => param.required).map(param => param.name)
+    }));
+  };
+
+  const operations = [];
+  Object.entries(spec.paths).forEach(([route, pathItem]) => {
+    const names = [];
+    const pattern = new RegExp('^' + basePath + route.replace(/\{(\w+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    }) + '$');
+
+    METHODS.filter(method => pathItem[method]).forEach(method => {
+      const op = pathItem[method];
+      const params = (pathItem.parameters || []).concat(op.parameters || []).map(resolve);
+      const content = op.requestBody ? op.requestBody.content : null;
+      const bodySchema = content ? Object.values(content)[0].schema : null;
+
+      operations.push({
+        method: method.toUpperCase(),
+        pattern,
+        names,
+        path: compileParams(params, 'path'),
+        query: compileParams(params, 'query'),
+        body: bodySchema ? ajv.compile(linkRefs(bodySchema)) : null,
+        bodyRequired: Boolean(op.requestBody && op.requestBody.required)
+      });
+    });
+  });
+
+  function findOperation(req) {
+    for (const op of operations) {
+      if (op.method !== req.method && !(op.method === 'GET' && req.method === 'HEAD')) continue;
+      const match = op.pattern.exec(req.path);
+      if (match) {
+        const params = {};
+        const malformed = [];
+        op.names.forEach((name, i) => {
+          try {
+            params[name] = decodeURIComponent(match[i + 1]);
+          } catch (err) {
+            // A stray % that is not an escape
+            malformed.push({ in: 'path', field: name, message: 'is not valid URL encoding' });
+          }
+        });
+        return { op, params, malformed };
+      }
+    }
+    return null;
+  }
+
+  function check(validate, data, location) {
+    if (!validate || validate(data)) return [];
+    return validate.errors.map(error => {
+      const field = error.params.missingProperty
+        || error.instancePath.slice(1).replace(/\//g, '.')
+        || null;
+      let message = error.message;
+      if (error.keyword === 'enum') message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+      // '\S' is how the document spells "not blank"
+      if (error.keyword === 'pattern' && error.params.pattern === '\\S') message = 'must not be empty';
+      return { in: location, field, message };
+    });
+  }
+
+  function sendErrors(res, details) {
+    res.status(400).json({ error: 'Invalid request', details });
+  }
+
+  // Body check for an operation; multipart bodies only exist once multer ran
+  function bodyErrors(op, req) {
+    if (!op.body) return [];
+    const empty = !req.body || Object.keys(req.body).length === 0;
+    if (empty && !op.bodyRequired) return [];
+    return check(op.body, req.body || {}, 'body');
+  }
+
+  // Checks everything but multipart bodies; routes not in the document pass through.
+  // Anonymous requests are left to the routes, whose login check answers
+  // before anything about the expected input is given away.
+  function validateRequest(req, res, next) {
+    if (!req.session || !req.session.userId) return next();
+
+    const found = findOperation(req);
+    if (!found) return next();
+
+    const { op, params, malformed } = found;
+    req.apiOperation = op;
+    if (malformed.length > 0) return sendErrors(res, malformed);
+
+    const details = check(op.path, params, 'path').concat(check(op.query, req.query, 'query'));
+    if (!req.is('multipart/form-data')) details.push(...bodyErrors(op, req));
+
+    if (details.length > 0) return sendErrors(res, details);
+    next();
+  }
+
+  // For upload routes, after multer: returns the problems found
+  function validateUploadBody(req) {
+    return req.apiOperation ? bodyErrors(req.apiOperation, req) : [];
+  }
+
+  return { validateRequest, validateUploadBody, sendErrors };
+}
+
+module.exports = { createValidator };